@@ -0,0 +1,3567 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule AnimatedCore
+ */
+'use strict';
+
+var Easing = require('./Easing');
+var Interpolation = require('./Interpolation');
+var invariant = require('./invariant');
+var warning = require('./warning');
+
+// The value graph, the animation drivers and their composites. Nothing in
+// here touches the DOM or React, so it can run headless, e.g. in Node for
+// server-side computations and tests, with the components layered on top of
+// it in Animated.
+var AnimatedCore = (function() {
+
+// Note(vjeux): this would be better as an interface but flow doesn't
+// support them yet
+class Animated {
+  attach(): void {}
+  detach(): void {}
+  getValue(): any {}
+  getAnimatedValue(): any { return this.getValue(); }
+  addChild(child: Animated) {}
+  removeChild(child: Animated) {}
+  getChildren(): Array<Animated> { return []; }
+}
+
+// Important note: start() and stop() will only be called at most once.
+// Once an animation has been stopped or finished its course, it will
+// not be reused.
+// Drivers whose value is a function of time (TimingAnimation) can also be
+// paused, resumed and seeked while they are running: the composite
+// animations build on that and create a new driver whenever a seek needs
+// to bring back one that already ended.
+class Animation {
+  // Called with getProgress() on every frame the animation runs, delays
+  // included, which the value alone doesn't tell
+  __onProgress: ?(progress: number) => void;
+
+  start(
+    fromValue: number,
+    onUpdate: (value: number) => void,
+    onEnd: ?((finished: bool) => void),
+    previousAnimation: ?Animation
+  ): void {}
+  stop(): void {}
+  // How far along the animation is, from 0 to 1. Only meaningful once
+  // started, and up to date whenever onUpdate is called.
+  getProgress(): number { return 0; }
+  // Velocity of the value in units per ms as of the last update, which is
+  // still available once stopped so that the next animation of the value
+  // can pick it up from whichever driver ran before.
+  getVelocity(): number { return 0; }
+  __reportProgress(): void {
+    this.__onProgress && this.__onProgress(this.getProgress());
+  }
+}
+
+class AnimatedWithChildren extends Animated {
+  _children: Array<Animated>;
+
+  constructor() {
+    super();
+    this._children = [];
+  }
+
+  addChild(child: Animated): void {
+    if (this._children.length === 0) {
+      this.attach();
+    }
+    this._children.push(child);
+  }
+
+  removeChild(child: Animated): void {
+    var index = this._children.indexOf(child);
+    if (index === -1) {
+      warning(false, 'REMOVE_MISSING_CHILD');
+      return;
+    }
+    this._children.splice(index, 1);
+    if (this._children.length === 0) {
+      this.detach();
+    }
+  }
+
+  getChildren(): Array<Animated> {
+    return this._children;
+  }
+}
+
+/**
+ * Animated works by building a directed acyclic graph of dependencies
+ * transparently when you render your Animated components.
+ *
+ *               new Animated.Value(0)
+ *     .interpolate()        .interpolate()    new Animated.Value(1)
+ *         opacity               translateY      scale
+ *          style                         transform
+ *         View#234                         style
+ *                                         View#123
+ *
+ * A) Top Down phase
+ * When an Animated.Value is updated, we recursively go down through this
+ * graph in order to find leaf nodes: the views that we flag as needing
+ * an update.
+ *
+ * B) Bottom Up phase
+ * When a view is flagged as needing an update, we recursively go back up
+ * in order to build the new value that it needs. The reason why we need
+ * this two-phases process is to deal with composite props such as
+ * transform which can receive values from multiple parents.
+ */
+function _flush(node: AnimatedValue): void {
+  // While the frame loop is running animations, updates are collected and
+  // flushed together once every animation has advanced.
+  if (_pendingFlush) {
+    _pendingFlush.add(node);
+    return;
+  }
+  _flushNodes([node]);
+}
+
+function _flushNodes(nodes: Array<Animated> | Set<Animated>): void {
+  var animatedStyles = new Set();
+  function findAnimatedStyles(theNode) {
+    if ('update' in theNode) {
+      animatedStyles.add(theNode);
+    } else {
+      theNode.getChildren().forEach(findAnimatedStyles);
+    }
+  }
+  nodes.forEach(findAnimatedStyles);
+  animatedStyles.forEach(animatedStyle => animatedStyle.update());
+}
+
+/**
+ * Every Animation driver reads the time and schedules its next frame through
+ * the current scheduler instead of touching Date.now() and
+ * requestAnimationFrame directly. The default one is backed by the browser;
+ * swap in a ManualScheduler with Animated.setScheduler() to step animations
+ * deterministically, e.g. in tests or outside of a browser.
+ */
+type Scheduler = {
+  now: () => number;
+  requestAnimationFrame: (callback: () => void) => any;
+  cancelAnimationFrame: (handle: any) => void;
+};
+
+// Outside of a browser, frames are timers at 60fps
+var hasAnimationFrame = () =>
+  typeof window !== 'undefined' && !!window.requestAnimationFrame;
+
+var defaultScheduler: Scheduler = {
+  now: () => Date.now(),
+  requestAnimationFrame: (callback) => hasAnimationFrame() ?
+    window.requestAnimationFrame(callback) :
+    setTimeout(callback, 1000 / 60),
+  cancelAnimationFrame: (handle) => hasAnimationFrame() ?
+    window.cancelAnimationFrame(handle) :
+    clearTimeout(handle),
+};
+
+var _scheduler: Scheduler = defaultScheduler;
+
+function setScheduler(scheduler: ?Scheduler): void {
+  var previousScheduler = _scheduler;
+  _scheduler = scheduler || defaultScheduler;
+  // Move the pending frame of the shared frame loop over to the new scheduler
+  if (_frameHandle !== null) {
+    previousScheduler.cancelAnimationFrame(_frameHandle);
+    _frameHandle = _scheduler.requestAnimationFrame(_runFrame);
+  }
+}
+
+/**
+ * A scheduler whose clock only moves when you tell it to.
+ *
+ *   var scheduler = new Animated.ManualScheduler();
+ *   Animated.setScheduler(scheduler);
+ *   Animated.timing(value, {toValue: 100, duration: 100}).start();
+ *   scheduler.advance(50);
+ *   value.getValue(); // exactly the value 50ms in
+ *
+ * advance() moves the clock forward one frame at a time and runs the frame
+ * callbacks at each step, the same way a browser would.
+ */
+class ManualScheduler {
+  _now: number;
+  _frameDuration: number;
+  _callbacks: {[key: number]: () => void};
+  _nextHandle: number;
+
+  constructor(config?: {now?: number; frameDuration?: number}) {
+    config = config || {};
+    this._now = withDefault(config.now, 0);
+    this._frameDuration = withDefault(config.frameDuration, 1000 / 60);
+    invariant(
+      this._frameDuration > 0,
+      'SCHEDULER_INVALID_FRAME_DURATION',
+      this._frameDuration
+    );
+    this._callbacks = {};
+    this._nextHandle = 1;
+  }
+
+  now(): number {
+    return this._now;
+  }
+
+  requestAnimationFrame(callback: () => void): number {
+    var handle = this._nextHandle++;
+    this._callbacks[handle] = callback;
+    return handle;
+  }
+
+  cancelAnimationFrame(handle: number): void {
+    delete this._callbacks[handle];
+  }
+
+  // Moves the clock by exactly `time` ms, running a frame at every
+  // frameDuration step and one at the end for the remainder.
+  advance(time: number): void {
+    var end = this._now + time;
+    while (this._now < end) {
+      this.advanceFrame(Math.min(this._frameDuration, end - this._now));
+    }
+  }
+
+  advanceFrame(time?: number): void {
+    this._now += withDefault(time, this._frameDuration);
+    // Callbacks requested while running this frame belong to the next one
+    var callbacks = this._callbacks;
+    this._callbacks = {};
+    for (var key in callbacks) {
+      callbacks[key]();
+    }
+  }
+}
+
+/**
+ * All running animations share a single frame loop. Drivers ask for their
+ * next frame with requestFrame() and the loop only asks the scheduler for
+ * one animation frame, in which it first advances every animation and then
+ * updates each affected AnimatedProps exactly once, however many of its
+ * values changed.
+ */
+var _frameCallbacks: {[key: number]: () => void} = {};
+var _frameHandle: any = null;
+var _nextFrameCallbackId = 1;
+var _pendingFlush: ?Set<Animated> = null;
+// The callbacks of the frame being run, which cancelFrame() also removes from
+// so that a driver stopped earlier in the same frame doesn't run anymore
+var _runningFrameCallbacks: ?{[key: number]: () => void} = null;
+
+function requestFrame(callback: () => void): number {
+  var id = _nextFrameCallbackId++;
+  _frameCallbacks[id] = callback;
+  if (_frameHandle === null) {
+    _frameHandle = _scheduler.requestAnimationFrame(_runFrame);
+  }
+  return id;
+}
+
+function cancelFrame(id: number): void {
+  delete _frameCallbacks[id];
+  if (_runningFrameCallbacks) {
+    delete _runningFrameCallbacks[id];
+  }
+}
+
+function _runFrame(): void {
+  _frameHandle = null;
+  // Callbacks requested while running this frame belong to the next one
+  var callbacks = _runningFrameCallbacks = _frameCallbacks;
+  _frameCallbacks = {};
+
+  var pendingFlush = _pendingFlush = new Set();
+  try {
+    for (var key in callbacks) {
+      var callback = callbacks[key];
+      delete callbacks[key];
+      callback();
+    }
+  } finally {
+    _runningFrameCallbacks = null;
+    _pendingFlush = null;
+    // When a callback throws, the ones it kept from running get the next
+    // frame instead of freezing their animations for good
+    var remaining = Object.keys(callbacks);
+    if (remaining.length) {
+      remaining.forEach(key => {
+        _frameCallbacks[key] = callbacks[key];
+      });
+      if (_frameHandle === null) {
+        _frameHandle = _scheduler.requestAnimationFrame(_runFrame);
+      }
+    }
+    _flushNodes(pendingFlush);
+  }
+}
+
+type TimingAnimationConfig = {
+  toValue: number;
+  // Start from this value instead of the current value of the AnimatedValue
+  fromValue?: number;
+  easing?: (value: number) => number;
+  duration?: number;
+  delay?: number;
+  // How many ms of the animation play per ms, 1 by default. Negative rates
+  // play it backward, starting from its end.
+  playbackRate?: number;
+  // Called on every frame the animation runs, to spot janky frames
+  onFrame?: (frame: TimingFrame) => void;
+  // Called once the animation finished or was stopped after running at least
+  // one frame, with totals over all its frames
+  onMetrics?: (metrics: TimingMetrics) => void;
+  // Time between frames at the display rate, which tells how many frames
+  // were dropped, 1000 / 60 by default
+  frameDuration?: number;
+};
+
+type TimingFrame = {
+  // ms since the previous frame
+  delta: number;
+  // Frames that should have run in between
+  droppedFrames: number;
+  // Position in the animation, like TimingAnimation seek() takes
+  time: number;
+};
+
+type TimingMetrics = {
+  frames: number;
+  droppedFrames: number;
+  // ms spent running, pauses excluded
+  totalTime: number;
+  longestFrame: number;
+  finished: bool;
+};
+
+var emptyTimingMetrics = function(): TimingMetrics {
+  return {
+    frames: 0,
+    droppedFrames: 0,
+    totalTime: 0,
+    longestFrame: 0,
+    finished: false,
+  };
+};
+
+var addTimingFrame = function(metrics: TimingMetrics, frame: TimingFrame): void {
+  metrics.frames++;
+  metrics.droppedFrames += frame.droppedFrames;
+  metrics.totalTime += frame.delta;
+  metrics.longestFrame = Math.max(metrics.longestFrame, frame.delta);
+};
+
+class TimingAnimation extends Animation {
+  // Position in the animation, delay included. It goes from 0 to
+  // delay + duration, or the other way around when played backward.
+  _time: number;
+  _lastTime: number;
+  _playbackRate: number;
+  _fromValue: ?number;
+  _toValue: number;
+  _duration: number;
+  _delay: number;
+  _easing: (value: number) => number;
+  _onUpdate: (value: number) => void;
+  _onEnd: ?((finished: bool) => void);
+  _animationFrame: any;
+  _active: bool;
+  _paused: bool;
+  _onFrame: ?(frame: TimingFrame) => void;
+  _onMetrics: ?(metrics: TimingMetrics) => void;
+  _frameDuration: number;
+  _metrics: TimingMetrics;
+
+  constructor(
+    config: TimingAnimationConfig
+  ) {
+    super();
+    this._fromValue = config.fromValue;
+    this._toValue = config.toValue;
+    this._easing = config.easing || Easing.inOut(Easing.ease);
+    this._duration = config.duration !== undefined ? config.duration : 500;
+    this._delay = config.delay || 0;
+    this._playbackRate = withDefault(config.playbackRate, 1);
+    this._onFrame = config.onFrame;
+    this._onMetrics = config.onMetrics;
+    this._frameDuration = withDefault(config.frameDuration, 1000 / 60);
+  }
+
+  start(
+    fromValue: number,
+    onUpdate: (value: number) => void,
+    onEnd: ?((finished: bool) => void)
+  ): void {
+    if (this._fromValue === undefined || this._fromValue === null) {
+      this._fromValue = fromValue;
+    }
+    this._onUpdate = onUpdate;
+    this._onEnd = onEnd;
+    this._active = true;
+    this._paused = false;
+
+    // The delay is counted on the scheduler clock as well so that it can be
+    // stepped, paused and seeked like the rest of the animation
+    this._time = this._playbackRate < 0 ? this._delay + this._duration : 0;
+    this._lastTime = _scheduler.now();
+    this._metrics = emptyTimingMetrics();
+    this._animationFrame = requestFrame(this.onUpdate.bind(this));
+  }
+
+  getInternalState(): any {
+    return {
+      fromValue: this._fromValue,
+      time: this._time,
+    };
+  }
+
+  // Position in the animation, delay included, so that it goes back down
+  // when played backward
+  getProgress(): number {
+    var total = this._delay + this._duration;
+    if (total === 0) {
+      return 1;
+    }
+    return Math.min(Math.max(this._time / total, 0), 1);
+  }
+
+  getVelocity(): number {
+    if (this._paused) {
+      return 0;
+    }
+    // The easing is only known as a function, so derive it around the
+    // current time
+    var step = 1;
+    var delta = this._getValue(this._time + step) - this._getValue(this._time - step);
+    return delta / (2 * step) * this._playbackRate;
+  }
+
+  onUpdate(): void {
+    if (!this._active) {
+      return;
+    }
+    var now = _scheduler.now();
+    // Frames are recorded once the value is updated, so that onFrame sees
+    // the animation as of this frame
+    var delta = now - this._lastTime;
+    this._advance(now);
+    this.__reportProgress();
+
+    if (this._time < this._delay && this._playbackRate >= 0) {
+      this._recordFrame(delta);
+      this._animationFrame = requestFrame(this.onUpdate.bind(this));
+      return;
+    }
+
+    // Played backward, the delay is still ahead of the start: the value is
+    // back where it started once the time is within it
+    var isFinished = this._playbackRate < 0 ?
+      this._time <= this._delay :
+      this._time > this._delay + this._duration;
+    if (isFinished) {
+      this._onUpdate(this._getValue(this._time));
+      this._active = false;
+      this._recordFrame(delta);
+      this._reportMetrics(true);
+      var onEnd = this._onEnd;
+      this._onEnd = null;
+      onEnd && onEnd(/* finished */ true);
+      return;
+    }
+
+    this._onUpdate(this._getValue(this._time));
+    this._recordFrame(delta);
+
+    this._animationFrame = requestFrame(this.onUpdate.bind(this));
+  }
+
+  _advance(now: number): void {
+    this._time += (now - this._lastTime) * this._playbackRate;
+    this._lastTime = now;
+  }
+
+  _recordFrame(delta: number): void {
+    if (!this._onFrame && !this._onMetrics) {
+      return;
+    }
+    var frame = {
+      delta,
+      droppedFrames: Math.max(Math.round(delta / this._frameDuration) - 1, 0),
+      time: this._time,
+    };
+    addTimingFrame(this._metrics, frame);
+    this._onFrame && this._onFrame(frame);
+  }
+
+  _reportMetrics(finished: bool): void {
+    var onMetrics = this._onMetrics;
+    this._onMetrics = null;
+    if (onMetrics && this._metrics.frames > 0) {
+      onMetrics({...this._metrics, finished});
+    }
+  }
+
+  _getValue(time: number): number {
+    var elapsed = time - this._delay;
+    var progress;
+    if (elapsed <= 0) {
+      progress = 0;
+    } else if (elapsed >= this._duration) {
+      progress = 1;
+    } else {
+      progress = elapsed / this._duration;
+    }
+    return this.__interpolate(progress, this._fromValue);
+  }
+
+  // Value at `progress` (0 to 1) through the animation, overridden by the
+  // animations that interpolate differently
+  __interpolate(progress: number, fromValue: number): number {
+    return fromValue + this._easing(progress) * (this._toValue - fromValue);
+  }
+
+  pause(): void {
+    if (!this._active || this._paused) {
+      return;
+    }
+    this._advance(_scheduler.now());
+    this._paused = true;
+    cancelFrame(this._animationFrame);
+  }
+
+  resume(): void {
+    if (!this._active || !this._paused) {
+      return;
+    }
+    this._paused = false;
+    this._lastTime = _scheduler.now();
+    this._animationFrame = requestFrame(this.onUpdate.bind(this));
+  }
+
+  setPlaybackRate(playbackRate: number): void {
+    if (this._active && !this._paused) {
+      // Time played so far counts at the previous rate
+      this._advance(_scheduler.now());
+    }
+    this._playbackRate = playbackRate;
+  }
+
+  // Jumps to `time` ms after start(), delay included. This never ends the
+  // animation by itself: once seeked past its end, it finishes on the next
+  // frame it runs.
+  seek(time: number): void {
+    if (!this._active) {
+      return;
+    }
+    this._time = time;
+    this._lastTime = _scheduler.now();
+    this.__reportProgress();
+    this._onUpdate(this._getValue(time));
+  }
+
+  // Moves to `time` like seek(), but without running, e.g. to sample the
+  // animation, and returns the value there
+  __moveTo(time: number): number {
+    this._time = time;
+    return this._getValue(time);
+  }
+
+  stop(): void {
+    this._active = false;
+    cancelFrame(this._animationFrame);
+    this._reportMetrics(false);
+    var onEnd = this._onEnd;
+    this._onEnd = null;
+    onEnd && onEnd(/* finished */ false);
+  }
+}
+
+type Keyframe = {
+  // Fraction of the duration, from 0 to 1
+  at: number;
+  value: number;
+  // Easing of the segment that starts at this keyframe, linear by default
+  easing?: (value: number) => number;
+};
+
+type KeyframesAnimationConfig = {
+  // Without a keyframe at 0, the animation starts from the current value
+  keyframes: Array<Keyframe>;
+  duration?: number;
+  delay?: number;
+  onFrame?: (frame: TimingFrame) => void;
+  onMetrics?: (metrics: TimingMetrics) => void;
+  frameDuration?: number;
+};
+
+class KeyframesAnimation extends TimingAnimation {
+  _keyframes: Array<Keyframe>;
+
+  constructor(
+    config: KeyframesAnimationConfig
+  ) {
+    var keyframes = config.keyframes;
+    invariant(keyframes && keyframes.length > 0, 'KEYFRAMES_EMPTY');
+    super({
+      ...config,
+      toValue: keyframes[keyframes.length - 1].value,
+    });
+    keyframes.forEach((keyframe, i) => {
+      invariant(
+        keyframe.at >= 0 && keyframe.at <= 1,
+        'KEYFRAME_OUT_OF_RANGE',
+        keyframe.at
+      );
+      invariant(
+        i === 0 || keyframe.at >= keyframes[i - 1].at,
+        'KEYFRAMES_NOT_SORTED'
+      );
+    });
+    this._keyframes = keyframes;
+  }
+
+  __interpolate(progress: number, fromValue: number): number {
+    var keyframes = this._keyframes;
+    var start = {at: 0, value: fromValue, easing: null};
+    for (var i = 0; i < keyframes.length; i++) {
+      var end = keyframes[i];
+      if (progress <= end.at) {
+        if (end.at === start.at) {
+          return end.value;
+        }
+        var easing = start.easing || Easing.linear;
+        return start.value + easing((progress - start.at) / (end.at - start.at)) *
+          (end.value - start.value);
+      }
+      start = end;
+    }
+    // Past the last keyframe
+    return start.value;
+  }
+}
+
+type DecayAnimationConfig = {
+  // Picked up from the animation it interrupts when left out
+  velocity?: number;
+  deceleration?: number;
+  // Bounds the value can't coast past
+  min?: number;
+  max?: number;
+  // What happens when the value reaches a bound: it stops right there by
+  // default, or with `bounce` it overshoots and springs back to the bound.
+  // `bounce` is either true or the spring config to use (tension/friction
+  // or bounciness/speed, without toValue).
+  bounce?: bool | Object;
+};
+
+var DEFAULT_DECELERATION = 0.998;
+
+// How far a decay started with `velocity` coasts before coming to rest
+var decayDistance = function(velocity: number, deceleration: number): number {
+  return velocity / (1 - deceleration);
+};
+
+class DecayAnimation extends Animation {
+  _startTime: number;
+  _lastValue: number;
+  _fromValue: number;
+  _deceleration: number;
+  _velocity: ?number;
+  _lastVelocity: number;
+  _onUpdate: (value: number) => void;
+  _onEnd: ?((finished: bool) => void);
+  _animationFrame: any;
+  _active: bool;
+  _progress: number;
+  _finished: bool;
+  _min: number;
+  _max: number;
+  _bounce: ?Object;
+  // Takes over once the value goes out of bounds with `bounce`
+  _spring: ?SpringAnimation;
+
+  constructor(
+    config: DecayAnimationConfig
+  ) {
+    super();
+    this._deceleration = config.deceleration || DEFAULT_DECELERATION;
+    this._velocity = config.velocity;
+    this._min = withDefault(config.min, -Infinity);
+    this._max = withDefault(config.max, Infinity);
+    invariant(
+      this._min <= this._max,
+      'DECAY_INVALID_BOUNDS',
+      this._min,
+      this._max
+    );
+    if (config.bounce) {
+      this._bounce = config.bounce === true ? {} : config.bounce;
+    }
+  }
+
+  start(
+    fromValue: number,
+    onUpdate: (value: number) => void,
+    onEnd: ?((finished: bool) => void),
+    previousAnimation: ?Animation
+  ): void {
+    if (this._velocity === undefined || this._velocity === null) {
+      this._velocity = previousAnimation ? previousAnimation.getVelocity() : 0;
+    }
+    this._active = true;
+    this._lastVelocity = this._velocity;
+    this._lastValue = fromValue;
+    this._fromValue = fromValue;
+    this._onUpdate = onUpdate;
+    this._onEnd = onEnd;
+    this._startTime = _scheduler.now();
+    this._progress = 0;
+    this._animationFrame = requestFrame(this.onUpdate.bind(this));
+  }
+
+  getProgress(): number {
+    if (this._finished) {
+      return 1;
+    }
+    if (this._spring) {
+      return this._progress + (1 - this._progress) * this._spring.getProgress();
+    }
+    return this._progress;
+  }
+
+  getVelocity(): number {
+    return this._spring ? this._spring.getVelocity() : this._lastVelocity;
+  }
+
+  onUpdate(): void {
+    if (!this._active) {
+      return;
+    }
+    var now = _scheduler.now();
+
+    // Fraction of the distance to the point the value coasts toward
+    var remaining = Math.exp(-(1 - this._deceleration) * (now - this._startTime));
+    this._progress = 1 - remaining;
+    this._lastVelocity = this._velocity * remaining;
+    var value = this._fromValue +
+      decayDistance(this._velocity, this._deceleration) * this._progress;
+    this.__reportProgress();
+
+    if (value < this._min || value > this._max) {
+      var bound = value < this._min ? this._min : this._max;
+      if (this._bounce) {
+        this._bounceBack(value, bound);
+        return;
+      }
+      this._lastVelocity = 0;
+      this._onUpdate(bound);
+      this._end(true);
+      return;
+    }
+
+    this._onUpdate(value);
+
+    if (Math.abs(this._lastValue - value) < 0.1) {
+      this._end(true);
+      return;
+    }
+
+    this._lastValue = value;
+    this._animationFrame = requestFrame(this.onUpdate.bind(this));
+  }
+
+  // Hands off to a spring that starts with the velocity the value had when
+  // it went out of bounds
+  _bounceBack(value: number, bound: number): void {
+    var spring = new SpringAnimation({...this._bounce, toValue: bound});
+    spring.__onProgress = () => this.__reportProgress();
+    // Only known as the spring once started, as until then the velocity it
+    // picks up from this animation is the one of the decay
+    spring.start(
+      value,
+      this._onUpdate,
+      (finished) => {
+        if (finished) {
+          this._end(true);
+        }
+      },
+      this
+    );
+    this._spring = spring;
+  }
+
+  _end(finished: bool): void {
+    this._finished = finished;
+    var onEnd = this._onEnd;
+    this._onEnd = null;
+    onEnd && onEnd(finished);
+  }
+
+  stop(): void {
+    this._active = false;
+    cancelFrame(this._animationFrame);
+    this._spring && this._spring.stop();
+    var onEnd = this._onEnd;
+    this._onEnd = null;
+    onEnd && onEnd(/* finished */ false);
+  }
+}
+
+type SpringAnimationConfig = {
+  toValue: number;
+  overshootClamping?: bool;
+  restDisplacementThreshold?: number;
+  restSpeedThreshold?: number;
+  velocity?: number;
+  // The spring is defined by only one of these groups of options: Origami
+  // bounciness/speed or tension/friction, physical stiffness/damping/mass,
+  // or dampingRatio with the duration in ms of one oscillation
+  bounciness?: number;
+  speed?: number;
+  tension?: number;
+  friction?: number;
+  stiffness?: number;
+  damping?: number;
+  mass?: number;
+  dampingRatio?: number;
+  duration?: number;
+  // 'rk4' integrates the motion in small steps, 'analytical' computes it
+  // directly from the time since start, so that its cost doesn't grow with
+  // the time between frames
+  solver?: 'rk4' | 'analytical';
+};
+
+function withDefault<T>(value: ?T, defaultValue: T): T {
+  if (value === undefined || value === null) {
+    return defaultValue;
+  }
+  return value;
+}
+
+
+function tensionFromOrigamiValue(oValue) {
+  return (oValue - 30.0) * 3.62 + 194.0;
+}
+function frictionFromOrigamiValue(oValue) {
+  return (oValue - 8.0) * 3.0 + 25.0;
+}
+
+var fromOrigamiTensionAndFriction = function(tension, friction) {
+  return {
+    tension: tensionFromOrigamiValue(tension),
+    friction: frictionFromOrigamiValue(friction)
+  };
+}
+
+var fromBouncinessAndSpeed = function(bounciness, speed) {
+  function normalize(value, startValue, endValue) {
+    return (value - startValue) / (endValue - startValue);
+  }
+  function projectNormal(n, start, end) {
+    return start + (n * (end - start));
+  }
+  function linearInterpolation(t, start, end) {
+    return t * end + (1.0 - t) * start;
+  }
+  function quadraticOutInterpolation(t, start, end) {
+    return linearInterpolation(2 * t - t * t, start, end);
+  }
+  function b3Friction1(x) {
+    return (0.0007 * Math.pow(x, 3)) -
+      (0.031 * Math.pow(x, 2)) + 0.64 * x + 1.28;
+  }
+  function b3Friction2(x) {
+    return (0.000044 * Math.pow(x, 3)) -
+      (0.006 * Math.pow(x, 2)) + 0.36 * x + 2.;
+  }
+  function b3Friction3(x) {
+    return (0.00000045 * Math.pow(x, 3)) -
+      (0.000332 * Math.pow(x, 2)) + 0.1078 * x + 5.84;
+  }
+  function b3Nobounce(tension) {
+    if (tension <= 18) {
+      return b3Friction1(tension);
+    } else if (tension > 18 && tension <= 44) {
+      return b3Friction2(tension);
+    } else {
+      return b3Friction3(tension);
+    }
+  }
+
+  var b = normalize(bounciness / 1.7, 0, 20.0);
+  b = projectNormal(b, 0.0, 0.8);
+  var s = normalize(speed / 1.7, 0, 20.0);
+  var bouncyTension = projectNormal(s, 0.5, 200)
+  var bouncyFriction = quadraticOutInterpolation(
+    b,
+    b3Nobounce(bouncyTension),
+    0.01
+  );
+
+  return {
+    tension: tensionFromOrigamiValue(bouncyTension),
+    friction: frictionFromOrigamiValue(bouncyFriction)
+  };
+}
+
+// Spring constants giving the damping ratio (1 is critically damped, below it
+// bounces) and the period of the undamped oscillation in ms, for a mass of 1
+var fromDampingRatioAndDuration = function(dampingRatio, duration) {
+  var angularFrequency = 2 * Math.PI / (duration / 1000);
+  return {
+    tension: angularFrequency * angularFrequency,
+    friction: 2 * dampingRatio * angularFrequency,
+  };
+}
+
+type SpringEstimate = {
+  duration: number;
+  samples: Array<{time: number; value: number}>;
+};
+
+/**
+ * Closed-form motion of a damped spring: its displacement from the rest
+ * position and its velocity (per second) `time` seconds after it had
+ * `displacement` and `velocity`.
+ */
+var solveSpring = function(
+  tension: number,
+  friction: number,
+  mass: number,
+  displacement: number,
+  velocity: number,
+  time: number
+): {displacement: number; velocity: number} {
+  if (tension === 0) {
+    // Nothing pulls the value back, it only slows down
+    if (friction === 0) {
+      return {displacement: displacement + velocity * time, velocity};
+    }
+    var decay = Math.exp(-friction / mass * time);
+    return {
+      displacement: displacement + velocity * mass / friction * (1 - decay),
+      velocity: velocity * decay,
+    };
+  }
+
+  var undampedFrequency = Math.sqrt(tension / mass);
+  var dampingRatio = friction / (2 * Math.sqrt(tension * mass));
+
+  if (dampingRatio < 1) {
+    // Under damped: oscillates around the rest position
+    var frequency = undampedFrequency * Math.sqrt(1 - dampingRatio * dampingRatio);
+    var decayRate = dampingRatio * undampedFrequency;
+    var envelope = Math.exp(-decayRate * time);
+    var a = displacement;
+    var b = (velocity + decayRate * displacement) / frequency;
+    var cos = Math.cos(frequency * time);
+    var sin = Math.sin(frequency * time);
+    return {
+      displacement: envelope * (a * cos + b * sin),
+      velocity: envelope * (
+        (b * frequency - decayRate * a) * cos -
+        (a * frequency + decayRate * b) * sin
+      ),
+    };
+  }
+
+  if (dampingRatio === 1) {
+    // Critically damped: the fastest return without overshooting
+    var decayed = Math.exp(-undampedFrequency * time);
+    var slope = velocity + undampedFrequency * displacement;
+    return {
+      displacement: decayed * (displacement + slope * time),
+      velocity: decayed * (slope - undampedFrequency * (displacement + slope * time)),
+    };
+  }
+
+  // Over damped: sum of two exponential decays
+  var root = Math.sqrt(dampingRatio * dampingRatio - 1);
+  var slowRate = -undampedFrequency * (dampingRatio - root);
+  var fastRate = -undampedFrequency * (dampingRatio + root);
+  var slow = (velocity - fastRate * displacement) / (slowRate - fastRate);
+  var fast = displacement - slow;
+  var slowTerm = slow * Math.exp(slowRate * time);
+  var fastTerm = fast * Math.exp(fastRate * time);
+  return {
+    displacement: slowTerm + fastTerm,
+    velocity: slowRate * slowTerm + fastRate * fastTerm,
+  };
+};
+
+class SpringAnimation extends Animation {
+  _overshootClamping: bool;
+  _restDisplacementThreshold: number;
+  _restSpeedThreshold: number;
+  _lastVelocity: number;
+  _tempVelocity: number;
+  _startPosition: number;
+  _lastPosition: number;
+  _tempPosition: number;
+  _fromValue: number;
+  _toValue: number;
+  _tension: number;
+  _friction: number;
+  _mass: number;
+  _solver: 'rk4' | 'analytical';
+  // As given, picked up from the animation it interrupts when left out
+  _velocity: ?number;
+  // Where the analytical solver starts from
+  _initialTime: number;
+  _initialPosition: number;
+  _initialVelocity: number;
+  _lastTime: number;
+  _onUpdate: (value: number) => void;
+  _onEnd: ?((finished: bool) => void);
+  _animationFrame: any;
+  _active: bool;
+  _finished: bool;
+
+  constructor(
+    config: SpringAnimationConfig
+  ) {
+    super();
+
+    this._overshootClamping = withDefault(config.overshootClamping, false);
+    this._restDisplacementThreshold = withDefault(config.restDisplacementThreshold, 0.001);
+    this._restSpeedThreshold = withDefault(config.restSpeedThreshold, 0.001);
+    this._velocity = config.velocity;
+    this._lastVelocity = withDefault(config.velocity, 0);
+    this._tempVelocity = this._lastVelocity;
+    this._toValue = config.toValue;
+
+    var isDefined = key => config[key] !== undefined;
+    var bouncinessAndSpeed = ['bounciness', 'speed'].some(isDefined);
+    var tensionAndFriction = ['tension', 'friction'].some(isDefined);
+    var stiffnessAndDamping = ['stiffness', 'damping', 'mass'].some(isDefined);
+    var dampingRatioAndDuration = ['dampingRatio', 'duration'].some(isDefined);
+    invariant(
+      [
+        bouncinessAndSpeed,
+        tensionAndFriction,
+        stiffnessAndDamping,
+        dampingRatioAndDuration,
+      ].filter(defined => defined).length <= 1,
+      'SPRING_CONFLICTING_CONFIG'
+    );
+
+    var springConfig;
+    this._mass = 1;
+    if (bouncinessAndSpeed) {
+      springConfig = fromBouncinessAndSpeed(
+        withDefault(config.bounciness, 8),
+        withDefault(config.speed, 12)
+      );
+    } else if (stiffnessAndDamping) {
+      springConfig = {
+        tension: withDefault(config.stiffness, 100),
+        friction: withDefault(config.damping, 10),
+      };
+      this._mass = withDefault(config.mass, 1);
+      invariant(this._mass > 0, 'SPRING_INVALID_MASS', this._mass);
+      invariant(
+        springConfig.tension >= 0 && springConfig.friction >= 0,
+        'SPRING_NEGATIVE_STIFFNESS_OR_DAMPING',
+        springConfig.tension,
+        springConfig.friction
+      );
+    } else if (dampingRatioAndDuration) {
+      var dampingRatio = withDefault(config.dampingRatio, 1);
+      var duration = withDefault(config.duration, 500);
+      invariant(dampingRatio >= 0, 'SPRING_NEGATIVE_DAMPING_RATIO', dampingRatio);
+      invariant(duration > 0, 'SPRING_INVALID_DURATION', duration);
+      springConfig = fromDampingRatioAndDuration(dampingRatio, duration);
+    } else {
+      springConfig = fromOrigamiTensionAndFriction(
+        withDefault(config.tension, 40),
+        withDefault(config.friction, 7)
+      );
+    }
+    this._tension = springConfig.tension;
+    this._friction = springConfig.friction;
+
+    this._solver = withDefault(config.solver, 'rk4');
+    invariant(
+      this._solver === 'rk4' || this._solver === 'analytical',
+      'SPRING_UNKNOWN_SOLVER',
+      this._solver
+    );
+  }
+
+  start(
+    fromValue: number,
+    onUpdate: (value: number) => void,
+    onEnd: ?((finished: bool) => void),
+    previousAnimation: ?Animation
+  ): void {
+    this._active = true;
+    this._startPosition = fromValue;
+    this._lastPosition = this._startPosition;
+    this._tempPosition = this._lastPosition;
+
+    this._onUpdate = onUpdate;
+    this._onEnd = onEnd;
+    this._lastTime = _scheduler.now();
+
+    if (previousAnimation instanceof SpringAnimation) {
+      var internalState = previousAnimation.getInternalState();
+      this._lastPosition = internalState.lastPosition;
+      this._tempPosition = internalState.tempPosition;
+      this._lastVelocity = internalState.lastVelocity;
+      this._tempVelocity = internalState.tempVelocity;
+      this._lastTime = internalState.lastTime;
+    } else if (
+      previousAnimation &&
+      (this._velocity === undefined || this._velocity === null)
+    ) {
+      // Velocity is based on seconds instead of milliseconds
+      this._lastVelocity = previousAnimation.getVelocity() * 1000;
+      this._tempVelocity = this._lastVelocity;
+    }
+    this._initialTime = this._lastTime;
+    this._initialPosition = this._lastPosition;
+    this._initialVelocity = this._lastVelocity;
+
+    this.onUpdate();
+  }
+
+  getInternalState(): any {
+    return {
+      lastPosition: this._lastPosition,
+      tempPosition: this._tempPosition,
+      lastVelocity: this._lastVelocity,
+      tempVelocity: this._tempVelocity,
+      lastTime: this._lastTime,
+    };
+  }
+
+  // Fraction of the distance from the start position to toValue covered so
+  // far. Overshooting toValue counts as moving away from it.
+  getProgress(): number {
+    if (this._finished) {
+      return 1;
+    }
+    var distance = Math.abs(this._toValue - this._startPosition);
+    if (distance === 0) {
+      return 0;
+    }
+    var remaining = Math.abs(this._toValue - this._lastPosition);
+    return Math.min(Math.max(1 - remaining / distance, 0), 1);
+  }
+
+  getVelocity(): number {
+    return this._lastVelocity / 1000;
+  }
+
+  onUpdate(): void {
+    if (!this._active) {
+      return;
+    }
+    var now = _scheduler.now();
+
+    var position;
+    var velocity;
+    var tempPosition;
+    var tempVelocity;
+    if (this._solver === 'analytical') {
+      var state = solveSpring(
+        this._tension,
+        this._friction,
+        this._mass,
+        this._initialPosition - this._toValue,
+        this._initialVelocity,
+        // Velocity is based on seconds instead of milliseconds
+        (now - this._initialTime) / 1000
+      );
+      position = tempPosition = this._toValue + state.displacement;
+      velocity = tempVelocity = state.velocity;
+    } else {
+      position = this._lastPosition;
+      velocity = this._lastVelocity;
+
+      tempPosition = position;
+      tempVelocity = velocity;
+
+      var TIMESTEP_MSEC = 4;
+      var numSteps = Math.floor((now - this._lastTime) / TIMESTEP_MSEC);
+      for (var i = 0; i < numSteps; ++i) {
+        // Velocity is based on seconds instead of milliseconds
+        var step = TIMESTEP_MSEC / 1000;
+
+        var aVelocity = velocity;
+        var aAcceleration = (this._tension * (this._toValue - tempPosition) - this._friction * tempVelocity) / this._mass;
+        tempPosition = position + aVelocity * step / 2;
+        tempVelocity = velocity + aAcceleration * step / 2;
+
+        var bVelocity = tempVelocity;
+        var bAcceleration = (this._tension * (this._toValue - tempPosition) - this._friction * tempVelocity) / this._mass;
+        tempPosition = position + bVelocity * step / 2;
+        tempVelocity = velocity + bAcceleration * step / 2;
+
+        var cVelocity = tempVelocity;
+        var cAcceleration = (this._tension * (this._toValue - tempPosition) - this._friction * tempVelocity) / this._mass;
+        tempPosition = position + cVelocity * step;
+        tempVelocity = velocity + cAcceleration * step;
+
+        var dVelocity = tempVelocity;
+        var dAcceleration = (this._tension * (this._toValue - tempPosition) - this._friction * tempVelocity) / this._mass;
+
+        var dxdt = (aVelocity + 2 * (bVelocity + cVelocity) + dVelocity) / 6;
+        var dvdt = (aAcceleration + 2 * (bAcceleration + cAcceleration) + dAcceleration) / 6;
+
+        position += dxdt * step;
+        velocity += dvdt * step;
+      }
+    }
+
+    this._lastTime = now;
+    this._tempPosition = tempPosition;
+    this._tempVelocity = tempVelocity;
+    this._lastPosition = position;
+    this._lastVelocity = velocity;
+    this.__reportProgress();
+
+    this._onUpdate(position);
+
+    if (this._isAtRest(this._startPosition, position, velocity)) {
+      this._finished = true;
+      var onEnd = this._onEnd;
+      this._onEnd = null;
+      onEnd && onEnd(/* finished */ true);
+      return;
+    }
+    this._animationFrame = requestFrame(this.onUpdate.bind(this));
+  }
+
+  // Conditions for stopping the spring animation
+  _isAtRest(startPosition: number, position: number, velocity: number): bool {
+    var isOvershooting = false;
+    if (this._overshootClamping && this._tension !== 0) {
+      if (startPosition < this._toValue) {
+        isOvershooting = position > this._toValue;
+      } else {
+        isOvershooting = position < this._toValue;
+      }
+    }
+    var isVelocity = Math.abs(velocity) <= this._restSpeedThreshold;
+    var isDisplacement = true;
+    if (this._tension !== 0) {
+      isDisplacement = Math.abs(this._toValue - position) <= this._restDisplacementThreshold;
+    }
+    return isOvershooting || (isVelocity && isDisplacement);
+  }
+
+  // Time in ms the spring takes to come to rest from `fromValue`, with its
+  // value sampled every `sampleInterval` ms up to then. Null when it doesn't
+  // within maxDuration ms, e.g. without any friction.
+  estimate(
+    fromValue: number,
+    sampleInterval: number,
+    maxDuration: number
+  ): ?SpringEstimate {
+    invariant(
+      sampleInterval > 0 && maxDuration >= 0,
+      'ESTIMATE_SPRING_INVALID_SAMPLING',
+      sampleInterval,
+      maxDuration
+    );
+    var displacement = fromValue - this._toValue;
+    var stateAt = time => solveSpring(
+      this._tension,
+      this._friction,
+      this._mass,
+      displacement,
+      this._lastVelocity,
+      time / 1000
+    );
+
+    // Searched with a 1ms precision
+    var duration = null;
+    for (var time = 0; time <= maxDuration; time++) {
+      var state = stateAt(time);
+      var position = this._toValue + state.displacement;
+      if (this._isAtRest(fromValue, position, state.velocity)) {
+        duration = time;
+        break;
+      }
+    }
+    if (duration === null) {
+      return null;
+    }
+
+    var samples = [];
+    for (var i = 0; i * sampleInterval < duration; i++) {
+      samples.push({
+        time: i * sampleInterval,
+        value: this._toValue + stateAt(i * sampleInterval).displacement,
+      });
+    }
+    samples.push({
+      time: duration,
+      value: this._toValue + stateAt(duration).displacement,
+    });
+    return {duration, samples};
+  }
+
+  stop(): void {
+    this._active = false;
+    cancelFrame(this._animationFrame);
+    var onEnd = this._onEnd;
+    this._onEnd = null;
+    onEnd && onEnd(/* finished */ false);
+  }
+}
+
+type GravityAnimationConfig = {
+  // Units per ms, like decay. Picked up from the animation it interrupts
+  // when left out.
+  velocity?: number;
+  // Units per second per second, toward increasing values when positive
+  acceleration?: number;
+  // Value it bounces on, on the side the acceleration pulls toward. Without
+  // it, the animation runs until stopped.
+  floor?: number;
+  // Fraction of the speed kept when bouncing, 0 stops right on the floor
+  restitution?: number;
+  // Speed in units per ms below which a bounce ends the animation
+  restSpeedThreshold?: number;
+};
+
+class GravityAnimation extends Animation {
+  _velocity: ?number;
+  _acceleration: number;
+  _floor: ?number;
+  _restitution: number;
+  _restSpeedThreshold: number;
+  _fromValue: number;
+  _position: number;
+  _lastTime: number;
+  _onUpdate: (value: number) => void;
+  _onEnd: ?((finished: bool) => void);
+  _animationFrame: any;
+  _active: bool;
+  _finished: bool;
+
+  constructor(
+    config: GravityAnimationConfig
+  ) {
+    super();
+    this._velocity = config.velocity;
+    // Per ms per ms, the unit of the rest of the computations
+    this._acceleration = withDefault(config.acceleration, 2000) / 1000000;
+    this._floor = config.floor;
+    this._restitution = withDefault(config.restitution, 0.5);
+    this._restSpeedThreshold = withDefault(config.restSpeedThreshold, 0.05);
+    invariant(
+      this._restitution >= 0 && this._restitution <= 1,
+      'GRAVITY_INVALID_RESTITUTION',
+      this._restitution
+    );
+    invariant(
+      this._floor === undefined || this._floor === null || this._acceleration !== 0,
+      'GRAVITY_FLOOR_WITHOUT_ACCELERATION'
+    );
+  }
+
+  start(
+    fromValue: number,
+    onUpdate: (value: number) => void,
+    onEnd: ?((finished: bool) => void),
+    previousAnimation: ?Animation
+  ): void {
+    if (this._velocity === undefined || this._velocity === null) {
+      this._velocity = previousAnimation ? previousAnimation.getVelocity() : 0;
+    }
+    this._active = true;
+    this._fromValue = fromValue;
+    this._position = this._isPastFloor(fromValue) ? this._floor : fromValue;
+    this._onUpdate = onUpdate;
+    this._onEnd = onEnd;
+    this._lastTime = _scheduler.now();
+    this._animationFrame = requestFrame(this.onUpdate.bind(this));
+  }
+
+  // Fraction of the distance from the start to the floor covered so far
+  getProgress(): number {
+    if (this._finished) {
+      return 1;
+    }
+    if (this._floor === undefined || this._floor === null) {
+      return 0;
+    }
+    var distance = Math.abs(this._floor - this._fromValue);
+    if (distance === 0) {
+      return 1;
+    }
+    return Math.min(Math.abs(this._position - this._fromValue) / distance, 1);
+  }
+
+  getVelocity(): number {
+    return this._velocity;
+  }
+
+  onUpdate(): void {
+    if (!this._active) {
+      return;
+    }
+    var now = _scheduler.now();
+    var isResting = this._advance(now - this._lastTime);
+    this._lastTime = now;
+    this.__reportProgress();
+
+    this._onUpdate(this._position);
+
+    if (isResting) {
+      this._finished = true;
+      var onEnd = this._onEnd;
+      this._onEnd = null;
+      onEnd && onEnd(/* finished */ true);
+      return;
+    }
+    this._animationFrame = requestFrame(this.onUpdate.bind(this));
+  }
+
+  // Moves `time` ms forward, bouncing on the floor as many times as it hits
+  // it meanwhile. Returns whether it came to rest on the floor.
+  _advance(time: number): bool {
+    var acceleration = this._acceleration;
+    while (time > 0) {
+      var position = this._position + this._velocity * time +
+        acceleration * time * time / 2;
+      if (!this._isPastFloor(position)) {
+        this._position = position;
+        this._velocity += acceleration * time;
+        return false;
+      }
+
+      // The time it hits the floor is the root of the motion equation at
+      // which it moves toward the floor
+      var distance = this._floor - this._position;
+      var down = acceleration > 0 ? 1 : -1;
+      var discriminant = Math.max(
+        this._velocity * this._velocity + 2 * acceleration * distance,
+        0
+      );
+      var hitTime = (down * Math.sqrt(discriminant) - this._velocity) / acceleration;
+      var hitVelocity = this._velocity + acceleration * hitTime;
+
+      this._position = this._floor;
+      this._velocity = -hitVelocity * this._restitution;
+      time -= hitTime;
+      if (Math.abs(this._velocity) <= this._restSpeedThreshold) {
+        this._velocity = 0;
+        return true;
+      }
+    }
+    return false;
+  }
+
+  _isPastFloor(position: number): bool {
+    if (this._floor === undefined || this._floor === null) {
+      return false;
+    }
+    return this._acceleration > 0 ? position > this._floor : position < this._floor;
+  }
+
+  stop(): void {
+    this._active = false;
+    cancelFrame(this._animationFrame);
+    var onEnd = this._onEnd;
+    this._onEnd = null;
+    onEnd && onEnd(/* finished */ false);
+  }
+}
+
+type ValueListenerCallback = (state: {value: number}) => void;
+
+var _uniqueId = 1;
+
+class AnimatedValue extends AnimatedWithChildren {
+  _value: number;
+  _offset: number;
+  _animation: ?Animation;
+  _listeners: {[key: number]: ValueListenerCallback};
+
+  constructor(value: number) {
+    super();
+    this._value = value;
+    this._offset = 0;
+    this._animation = null;
+    this._listeners = {};
+  }
+
+  detach() {
+    this.stopAnimation();
+  }
+
+  getValue(): number {
+    return this._value + this._offset;
+  }
+
+  setValue(value: number): void {
+    if (this._animation) {
+      this._animation.stop();
+      this._animation = null;
+    }
+    this._updateValue(value);
+  }
+
+  getOffset(): number {
+    return this._offset;
+  }
+
+  setOffset(offset: number): void {
+    if (offset === this._offset) {
+      return;
+    }
+    this._offset = offset;
+    this._onChange();
+  }
+
+  // Folds the offset into the value and resets it to 0, e.g. at the end of a
+  // drag. getValue() is unchanged so nothing re-renders.
+  flattenOffset(): void {
+    this.stopAnimation();
+    this._value += this._offset;
+    this._offset = 0;
+  }
+
+  // Moves the value into the offset and resets the value to 0, e.g. at the
+  // start of a drag so setValue() can be fed the gesture's distance.
+  extractOffset(): void {
+    this.stopAnimation();
+    this._offset += this._value;
+    this._value = 0;
+  }
+
+  addListener(callback: ValueListenerCallback): number {
+    var id = _uniqueId++;
+    this._listeners[id] = callback;
+    return id;
+  }
+
+  removeListener(id: number): void {
+    delete this._listeners[id];
+  }
+
+  animate(animation: Animation, callback: ?((finished: bool) => void)): void {
+    var previousAnimation = this._animation;
+    this._animation && this._animation.stop();
+    this._animation = animation;
+    animation.start(
+      this._value,
+      (value) => {
+        this._updateValue(value);
+      },
+      (finished) => {
+        this._animation = null;
+        callback && callback(finished);
+      },
+      previousAnimation
+    );
+  }
+
+  stopAnimation(callback?: ?() => number): void {
+    this.stopTracking();
+    this._animation && this._animation.stop();
+    callback && callback(this._value);
+  }
+
+  stopTracking(): void {
+    this._tracking && this._tracking.detach();
+  }
+
+  // Units per ms of the running animation, 0 when there is none
+  __getVelocity(): number {
+    return this._animation ? this._animation.getVelocity() : 0;
+  }
+
+  track(tracking: AnimatedTracking): void {
+    this.stopTracking();
+    this._tracking = tracking;
+    // Head for where the tracked value already is
+    tracking.update();
+  }
+
+  interpolate(config: InterpolationConfigType): AnimatedInterpolation {
+    return new AnimatedInterpolation(this, Interpolation.create(config));
+  }
+
+  _updateValue(value: number): void {
+    if (value === this._value) {
+      return;
+    }
+    this._value = value;
+    this._onChange();
+  }
+
+  _onChange(): void {
+    _flush(this);
+    for (var key in this._listeners) {
+      this._listeners[key]({value: this.getValue()});
+    }
+  }
+}
+
+type Vec2ListenerCallback = (state: {x: number; y: number}) => void;
+class AnimatedVec2 extends AnimatedWithChildren {
+  x: AnimatedValue;
+  y: AnimatedValue;
+  _listeners: {[key: number]: Vec2ListenerCallback};
+
+  constructor(value?: {x: number; y: number}) {
+    super();
+    value = value || {x: 0, y: 0};
+    if (typeof value.x === 'number') {
+      this.x = new AnimatedValue(value.x);
+      this.y = new AnimatedValue(value.y);
+    } else {
+      this.x = value.x;
+      this.y = value.y;
+    }
+    this._listeners = {};
+  }
+
+  setValue(value: {x: number; y: number}) {
+    this.x.setValue(value.x);
+    this.y.setValue(value.y);
+  }
+
+  setOffset(offset: {x: number; y: number}) {
+    this.x.setOffset(offset.x);
+    this.y.setOffset(offset.y);
+  }
+
+  flattenOffset(): void {
+    this.x.flattenOffset();
+    this.y.flattenOffset();
+  }
+
+  extractOffset(): void {
+    this.x.extractOffset();
+    this.y.extractOffset();
+  }
+
+  addListener(callback: Vec2ListenerCallback): number {
+    var id = _uniqueId++;
+    var jointCallback = (value) => {
+      callback({x: this.x.getValue(), y: this.y.getValue()});
+    };
+    this._listeners[id] = {
+      x: this.x.addListener(jointCallback),
+      y: this.y.addListener(jointCallback),
+    };
+    return id;
+  }
+
+  removeListener(id: number): void {
+    this.x.removeListener(this._listeners[id].x);
+    this.y.removeListener(this._listeners[id].y);
+    delete this._listeners[id];
+  }
+
+  offset(theOffset) { // chunky...perf?
+    return new AnimatedVec2({
+      x: this.x.interpolate({
+        inputRange: [0, 1],
+        outputRange: [theOffset.x, theOffset.x + 1],
+      }),
+      y: this.y.interpolate({
+        inputRange: [0, 1],
+        outputRange: [theOffset.y, theOffset.y + 1],
+      }),
+    });
+  }
+
+  getLayout() {
+    return {
+      left: this.x,
+      top: this.y,
+    };
+  }
+
+  getTranslateTransform() {
+    return [
+      {translateX: this.x},
+      {translateY: this.y}
+    ];
+  }
+}
+
+type VectorListenerCallback = (state: Object | Array<number>) => void;
+
+/**
+ * Several values animated together and shaped like an object or an array of
+ * numbers, e.g. {x, y, z} for 3D transforms or [r, g, b, a]:
+ *
+ *   var position = new Animated.Vector({x: 0, y: 0, z: 0});
+ *   Animated.spring(position, {
+ *     toValue: {x: 100, y: 50, z: -20},
+ *     tension: {x: 40, y: 40, z: 10},
+ *   }).start();
+ *
+ * Options written in the same shape as the value apply to each key, the
+ * others to all of them.
+ */
+class AnimatedVector extends AnimatedWithChildren {
+  _values: Object | Array<AnimatedValue>;
+  _listeners: {[key: number]: {[key: string]: number}};
+
+  constructor(value: Object | Array<number | AnimatedValue>) {
+    super();
+    var values = Array.isArray(value) ? [] : {};
+    Object.keys(value).forEach(key => {
+      values[key] = value[key] instanceof Animated ?
+        value[key] :
+        new AnimatedValue(value[key]);
+    });
+    this._values = values;
+    this._listeners = {};
+  }
+
+  keys(): Array<string> {
+    return Object.keys(this._values);
+  }
+
+  get(key: string | number): AnimatedValue {
+    return this._values[key];
+  }
+
+  isArray(): bool {
+    return Array.isArray(this._values);
+  }
+
+  getValue(): Object | Array<number> {
+    return this._map(value => value.getValue());
+  }
+
+  setValue(value: Object | Array<number>): void {
+    this.keys().forEach(key => this.get(key).setValue(value[key]));
+  }
+
+  setOffset(offset: Object | Array<number>): void {
+    this.keys().forEach(key => this.get(key).setOffset(offset[key]));
+  }
+
+  flattenOffset(): void {
+    this.keys().forEach(key => this.get(key).flattenOffset());
+  }
+
+  extractOffset(): void {
+    this.keys().forEach(key => this.get(key).extractOffset());
+  }
+
+  stopAnimation(callback?: ?(value: Object | Array<number>) => void): void {
+    this.keys().forEach(key => this.get(key).stopAnimation());
+    callback && callback(this.getValue());
+  }
+
+  addListener(callback: VectorListenerCallback): number {
+    var id = _uniqueId++;
+    var jointCallback = () => {
+      callback(this.getValue());
+    };
+    var listeners = {};
+    this.keys().forEach(key => {
+      listeners[key] = this.get(key).addListener(jointCallback);
+    });
+    this._listeners[id] = listeners;
+    return id;
+  }
+
+  removeListener(id: number): void {
+    var listeners = this._listeners[id];
+    this.keys().forEach(key => this.get(key).removeListener(listeners[key]));
+    delete this._listeners[id];
+  }
+
+  // Style props bound to the values of some keys, e.g.
+  // position.getStyle({left: 'x', top: 'y'})
+  getStyle(keysByProp: {[prop: string]: string | number}): Object {
+    var style = {};
+    for (var prop in keysByProp) {
+      style[prop] = this.get(keysByProp[prop]);
+    }
+    return style;
+  }
+
+  getLayout(): Object {
+    return this.getStyle({left: 'x', top: 'y'});
+  }
+
+  // Translation along each of the x, y and z keys the value has
+  getTranslateTransform(): Array<Object> {
+    return [
+      {key: 'x', transform: 'translateX'},
+      {key: 'y', transform: 'translateY'},
+      {key: 'z', transform: 'translateZ'},
+    ].filter(({key}) => this._values.hasOwnProperty(key)).map(({key, transform}) => {
+      var result = {};
+      result[transform] = this.get(key);
+      return result;
+    });
+  }
+
+  _map(callback: (value: AnimatedValue) => any): Object | Array<any> {
+    var result = this.isArray() ? [] : {};
+    this.keys().forEach(key => {
+      result[key] = callback(this.get(key));
+    });
+    return result;
+  }
+}
+
+class AnimatedInterpolation extends AnimatedWithChildren {
+  _parent: Animated;
+  _interpolation: (input: number) => number | string;
+  _listeners: {[key: number]: ValueListenerCallback};
+  _parentListener: number;
+
+  constructor(parent: Animated, interpolation: (input: number) => number | string) {
+    super();
+    this._parent = parent;
+    this._interpolation = interpolation;
+    this._listeners = {};
+  }
+
+  getValue(): number | string {
+    var parentValue: number = this._parent.getValue();
+    invariant(
+      typeof parentValue === 'number',
+      'INTERPOLATION_INPUT_NOT_A_NUMBER'
+    );
+    return this._interpolation(parentValue);
+  }
+
+  addListener(callback: ValueListenerCallback): number {
+    if (!this._parentListener) {
+      this._parentListener = this._parent.addListener(() => {
+        for (var key in this._listeners) {
+          this._listeners[key]({value: this.getValue()});
+        }
+      })
+    }
+    var id = _uniqueId++;
+    this._listeners[id] = callback;
+    return id;
+  }
+
+  removeListener(id: number): void {
+    delete this._listeners[id];
+  }
+
+  interpolate(config: InterpolationConfigType): AnimatedInterpolation {
+    return new AnimatedInterpolation(this, Interpolation.create(config));
+  }
+
+  attach(): void {
+    this._parent.addChild(this);
+  }
+
+  detach(): void {
+    this._parent.removeChild(this);
+    this._parentListener = this._parent.removeListener(this._parentListener);
+  }
+}
+
+/**
+ * A value computed from the values of other nodes, e.g. a drag offset added
+ * to a scroll position. It updates the views it is bound to like any other
+ * node whenever one of its parents changes.
+ */
+class AnimatedOperation extends AnimatedWithChildren {
+  _parents: Array<Animated>;
+  _operation: (values: Array<number>) => number;
+  _listeners: {[key: number]: ValueListenerCallback};
+  _parentListeners: ?Array<number>;
+
+  constructor(
+    parents: Array<Animated | number>,
+    operation: (values: Array<number>) => number
+  ) {
+    super();
+    this._parents = parents.map(
+      parent => parent instanceof Animated ? parent : new AnimatedValue(parent)
+    );
+    this._operation = operation;
+    this._listeners = {};
+    this._parentListeners = null;
+  }
+
+  getValue(): number {
+    return this._operation(this._parents.map(parent => {
+      var value = parent.getValue();
+      invariant(typeof value === 'number', 'OPERATION_INPUT_NOT_A_NUMBER');
+      return value;
+    }));
+  }
+
+  addListener(callback: ValueListenerCallback): number {
+    if (!this._parentListeners) {
+      this._parentListeners = this._parents.map(parent => parent.addListener(() => {
+        for (var key in this._listeners) {
+          this._listeners[key]({value: this.getValue()});
+        }
+      }));
+    }
+    var id = _uniqueId++;
+    this._listeners[id] = callback;
+    return id;
+  }
+
+  removeListener(id: number): void {
+    delete this._listeners[id];
+    // The parents are listened to for as long as anyone listens to this,
+    // whether or not it is still bound to a view
+    var parentListeners = this._parentListeners;
+    if (parentListeners && Object.keys(this._listeners).length === 0) {
+      this._parents.forEach((parent, i) => {
+        parent.removeListener(parentListeners[i]);
+      });
+      this._parentListeners = null;
+    }
+  }
+
+  interpolate(config: InterpolationConfigType): AnimatedInterpolation {
+    return new AnimatedInterpolation(this, Interpolation.create(config));
+  }
+
+  attach(): void {
+    this._parents.forEach(parent => parent.addChild(this));
+  }
+
+  detach(): void {
+    this._parents.forEach(parent => parent.removeChild(this));
+  }
+}
+
+var add = function(
+  a: Animated | number,
+  b: Animated | number
+): AnimatedOperation {
+  return new AnimatedOperation([a, b], ([a, b]) => a + b);
+};
+
+var multiply = function(
+  a: Animated | number,
+  b: Animated | number
+): AnimatedOperation {
+  return new AnimatedOperation([a, b], ([a, b]) => a * b);
+};
+
+var divide = function(
+  a: Animated | number,
+  b: Animated | number
+): AnimatedOperation {
+  // The value is computed on every frame and by every consumer, so only the
+  // first division by zero is worth telling about
+  var hasWarned = false;
+  return new AnimatedOperation([a, b], ([a, b]) => {
+    if (b === 0) {
+      warning(hasWarned, 'DIVIDE_BY_ZERO');
+      hasWarned = true;
+      return 0;
+    }
+    return a / b;
+  });
+};
+
+// Always between 0 and modulus, even for negative values, e.g. to wrap an
+// angle around
+var modulo = function(
+  a: Animated | number,
+  modulus: number
+): AnimatedOperation {
+  invariant(modulus !== 0, 'MODULO_BY_ZERO');
+  return new AnimatedOperation([a], ([a]) => (a % modulus + modulus) % modulus);
+};
+
+/**
+ * Follows the changes of the value but stays between min and max, picking
+ * up from the bound as soon as the value moves back the other way. This is
+ * what e.g. a header hidden by scrolling down and shown back by scrolling
+ * up needs, whatever the scroll position.
+ */
+var diffClamp = function(
+  a: Animated,
+  min: number,
+  max: number
+): AnimatedOperation {
+  var lastInput = null;
+  var value = 0;
+  return new AnimatedOperation([a], ([input]) => {
+    var diff = lastInput === null ? input : input - lastInput;
+    lastInput = input;
+    value = Math.min(Math.max(value + diff, min), max);
+    return value;
+  });
+};
+
+class AnimatedTransform extends AnimatedWithChildren {
+  _transforms: Array<Object>;
+
+  constructor(transforms: Array<Object>) {
+    super();
+    this._transforms = transforms;
+  }
+
+  getValue(): Array<Object> {
+    return this._transforms.map(transform => {
+      var result = '';
+      for (var key in transform) {
+        var value = transform[key];
+        if (value instanceof Animated) {
+          result += key + '(' + value.getValue() + ')';
+        } else {
+          result += key + '(' + value.join(',') + ')';
+        }
+      }
+      return result;
+    }).join(' ');
+  }
+
+  getAnimatedValue(): Array<Object> {
+    return this._transforms.map(transform => {
+      var result = '';
+      for (var key in transform) {
+        var value = transform[key];
+        if (value instanceof Animated) {
+          result += key + '(' + value.getValue() + ') ';
+        } else {
+          // All transform components needed to recompose matrix
+          result += key + '(' + value.join(',') + ') ';
+        }
+      }
+      return result;
+    }).join('').trim();
+  }
+
+  attach(): void {
+    this._transforms.forEach(transform => {
+      for (var key in transform) {
+        var value = transform[key];
+        if (value instanceof Animated) {
+          value.addChild(this);
+        }
+      }
+    });
+  }
+
+  detach(): void {
+    this._transforms.forEach(transform => {
+      for (var key in transform) {
+        var value = transform[key];
+        if (value instanceof Animated) {
+          value.removeChild(this);
+        }
+      }
+    });
+  }
+}
+
+class AnimatedStyle extends AnimatedWithChildren {
+  _style: Object;
+
+  constructor(style: any) {
+    super();
+    style = style || {};
+    if (style.transform) {
+      style = {
+        ...style,
+        transform: new AnimatedTransform(style.transform),
+      };
+    }
+    this._style = style;
+  }
+
+  getValue(): Object {
+    var style = {};
+    for (var key in this._style) {
+      var value = this._style[key];
+      if (value instanceof Animated) {
+        style[key] = value.getValue();
+      } else {
+        style[key] = value;
+      }
+    }
+    return style;
+  }
+
+  getAnimatedValue(): Object {
+    var style = {};
+    for (var key in this._style) {
+      var value = this._style[key];
+      if (value instanceof Animated) {
+        style[key] = value.getAnimatedValue();
+      }
+    }
+    return style;
+  }
+
+  attach(): void {
+    for (var key in this._style) {
+      var value = this._style[key];
+      if (value instanceof Animated) {
+        value.addChild(this);
+      }
+    }
+  }
+
+  detach(): void {
+    for (var key in this._style) {
+      var value = this._style[key];
+      if (value instanceof Animated) {
+        value.removeChild(this);
+      }
+    }
+  }
+}
+
+class AnimatedProps extends Animated {
+  _props: Object;
+  _callback: () => void;
+
+  constructor(
+    props: Object,
+    callback: () => void
+  ) {
+    super();
+    if (props.style) {
+      props = {
+        ...props,
+        style: new AnimatedStyle(props.style),
+      };
+    }
+    this._props = props;
+    this._callback = callback;
+    this.attach();
+  }
+
+  getValue(): Object {
+    var props = {};
+    for (var key in this._props) {
+      var value = this._props[key];
+      if (value instanceof Animated) {
+        props[key] = value.getValue();
+      } else {
+        props[key] = value;
+      }
+    }
+    return props;
+  }
+
+  getAnimatedValue(): Object {
+    var props = {};
+    for (var key in this._props) {
+      var value = this._props[key];
+      if (value instanceof Animated) {
+        props[key] = value.getAnimatedValue();
+      }
+    }
+    return props;
+  }
+
+  attach(): void {
+    for (var key in this._props) {
+      var value = this._props[key];
+      if (value instanceof Animated) {
+        value.addChild(this);
+      }
+    }
+  }
+
+  detach(): void {
+    for (var key in this._props) {
+      var value = this._props[key];
+      if (value instanceof Animated) {
+        value.removeChild(this);
+      }
+    }
+  }
+
+  update(): void {
+    this._callback();
+  }
+}
+
+class AnimatedTracking extends Animated {
+  _parent: Animated;
+  _callback: () => void;
+  _animation: ?Animation;
+  _progress: ?AnimatedValue;
+
+  constructor(
+    value: AnimatedValue,
+    parent: Animated,
+    animationClass: any,
+    animationConfig: any,
+    callback: any,
+    progress?: ?AnimatedValue
+  ) {
+    super();
+    this._value = value;
+    this._parent = parent;
+    this._animationClass = animationClass;
+    this._animationConfig = animationConfig;
+    this._callback = callback;
+    // Follows the animation toward the latest position of the parent
+    this._progress = progress;
+    this.attach();
+  }
+
+  getValue(): Object {
+    return this._parent.getValue();
+  }
+
+  attach(): void {
+    this._active = true;
+    this._parent.addChild(this);
+  }
+
+  detach(): void {
+    this._parent.removeChild(this);
+    this._active = false;
+  }
+
+  update(): void {
+    if (!this._active) {
+      warning(false, 'UPDATE_DETACHED_TRACKING');
+      return;
+    }
+    // console.log('AnimatedTracking update with ',
+    //   {toValue: this._animationConfig.toValue.getValue(), value: this._value.getValue()});
+    var animation = this._animation = new this._animationClass({
+      ...this._animationConfig,
+      toValue: (this._animationConfig.toValue: any).getValue(),
+    });
+    // Heading for the new position of the tracked value interrupts the
+    // animation toward the previous one, which isn't an end for the callback
+    var onEnd = (finished) => {
+      if (animation === this._animation) {
+        this._callback && this._callback(finished);
+      }
+    };
+    if (this._progress) {
+      animateWithProgress(this._value, animation, this._progress, onEnd);
+    } else {
+      this._value.animate(animation, onEnd);
+    }
+  }
+}
+
+// Timing based composites (timing, delay and sequence/parallel/stagger made
+// only of those) can also be paused, resumed and seeked. seek() takes the
+// time in ms from the start of the composite, delays included; seeking an
+// animation that isn't running starts it from there, paused if pause() was
+// called before.
+//
+// Every composite has a `progress` Animated.Value going from 0 to 1 as it
+// runs, which can be interpolated and rendered like any other value.
+type CompositeAnimation = {
+  start: (callback?: ?(finished: bool) => void) => Promise<{finished: bool}>;
+  stop: () => void;
+  progress: AnimatedValue;
+  pause?: () => void;
+  resume?: () => void;
+  seek?: (time: number) => void;
+  reverse?: () => void;
+  getDuration?: () => ?number;
+  // The values it drives, e.g. for loop to put them back where they were
+  __getValues: () => Array<AnimatedValue>;
+};
+
+// start() also returns a promise resolved with {finished} once the animation
+// ends, so that it can be awaited instead of given a callback.
+var withPromise = function(animation: CompositeAnimation): CompositeAnimation {
+  var start = animation.start;
+  animation.start = function(callback?: ?(finished: bool) => void) {
+    var resolve;
+    var promise = new Promise(res => { resolve = res; });
+    start(finished => {
+      callback && callback(finished);
+      resolve({finished});
+    });
+    return promise;
+  };
+  return animation;
+};
+
+// Runs `animation` on `value`, keeping `progress` in sync with it
+var animateWithProgress = function(
+  value: AnimatedValue,
+  animation: Animation,
+  progress: AnimatedValue,
+  callback: ?(finished: bool) => void
+): void {
+  animation.__onProgress = (animationProgress) => {
+    progress.setValue(animationProgress);
+  };
+  value.animate(animation, (finished) => {
+    progress.setValue(animation.getProgress());
+    callback && callback(finished);
+  });
+  progress.setValue(animation.getProgress());
+};
+
+// The values driven by any of the animations
+var valuesOf = function(
+  animations: Array<CompositeAnimation>
+): Array<AnimatedValue> {
+  return animations.reduce(
+    (values, animation) => values.concat(animation.__getValues()),
+    []
+  );
+};
+
+// Duration in ms, or null when it can't be known ahead of time because the
+// animation is or contains a physics based one
+var durationOf = function(animation: CompositeAnimation): ?number {
+  return animation.getDuration ? animation.getDuration() : null;
+};
+
+// The durations of the animations when they all have a finite one, null
+// otherwise. This is how much each of them counts toward the progress of a
+// sequence or parallel, which falls back to counting them all the same.
+var progressWeights = function(
+  animations: Array<CompositeAnimation>
+): ?Array<number> {
+  var durations = animations.map(durationOf);
+  var total = 0;
+  for (var i = 0; i < durations.length; i++) {
+    if (durations[i] === null) {
+      return null;
+    }
+    total += durations[i];
+  }
+  return total > 0 && isFinite(total) ? durations : null;
+};
+
+var seekable = function(animation: CompositeAnimation): CompositeAnimation {
+  invariant(durationOf(animation) !== null, 'NOT_SEEKABLE');
+  return animation;
+};
+
+var maybeVectorAnim = function(
+  value: AnimatedValue,
+  config: Object,
+  anim: (value: AnimatedValue, config: Object) => CompositeAnimation
+): CompositeAnimation {
+  if (value instanceof AnimatedVec2) {
+    var configX = {...config};
+    var configY = {...config};
+    for (var key in config) {
+      if (config[key] === null || typeof config[key] !== 'object') {
+        continue;
+      }
+      var {x, y} = config[key];
+      if (x !== undefined && y !== undefined) {
+        configX[key] = x;
+        configY[key] = y;
+      }
+    }
+    return parallel([
+      anim(value.x, configX),
+      anim(value.y, configY),
+    ]);
+  }
+  if (value instanceof AnimatedVector) {
+    return parallel(value.keys().map(key => anim(value.get(key), {
+      ...config,
+      ...configForKey(value, config, key),
+    })));
+  }
+  return null;
+};
+
+// The options of `config` written in the shape of the vector, for `key`
+var configForKey = function(
+  vector: AnimatedVector,
+  config: Object,
+  key: string
+): Object {
+  var keys = vector.keys();
+  var result = {};
+  for (var option in config) {
+    var value = config[option];
+    if (value instanceof AnimatedVector) {
+      result[option] = value.get(key);
+      continue;
+    }
+    var isShapedLikeVector = value !== null &&
+      typeof value === 'object' &&
+      !(value instanceof Animated) &&
+      Array.isArray(value) === vector.isArray() &&
+      Object.keys(value).length === keys.length &&
+      keys.every(key => value.hasOwnProperty(key)) &&
+      // Lists of objects are options of their own, not one object per key
+      keys.every(key => value[key] === null || typeof value[key] !== 'object' ||
+        value[key] instanceof Animated);
+    if (isShapedLikeVector) {
+      result[option] = value[key];
+    }
+  }
+  return result;
+};
+
+var spring = function(
+  value: AnimatedValue,
+  config: SpringAnimationConfig
+): CompositeAnimation {
+  var progress = new AnimatedValue(0);
+  return maybeVectorAnim(value, config, spring) || withPromise({
+    progress,
+
+    start: function(callback?: ?(finished: bool) => void): void {
+      value.stopTracking();
+      if (config.toValue instanceof Animated) {
+        value.track(new AnimatedTracking(
+          value,
+          config.toValue,
+          SpringAnimation,
+          config,
+          callback,
+          progress
+        ));
+      } else {
+        animateWithProgress(value, new SpringAnimation(config), progress, callback);
+      }
+    },
+
+    stop: function(): void {
+      value.stopAnimation();
+    },
+
+    __getValues: function(): Array<AnimatedValue> {
+      return [value];
+    },
+  });
+};
+
+// The composite for drivers whose value is a function of time, which is what
+// makes them seekable.
+var timeBasedAnimation = function(
+  value: AnimatedValue,
+  config: Object,
+  animationClass: any
+): CompositeAnimation {
+  // Remembered once started so that seeking back into this animation after
+  // it ended plays it from the same place
+  var fromValue = config.fromValue;
+  var playbackRate = withDefault(config.playbackRate, 1);
+  var animation: ?TimingAnimation = null;
+  var callback: ?(finished: bool) => void = null;
+  var paused = false;
+  var progress = new AnimatedValue(0);
+  // Samples the animation for __setTime(), which parents such as timelines
+  // call on every frame, without running a driver each time
+  var sampler: ?TimingAnimation = null;
+
+  // Seeking and reversing replace the driver, so the metrics are totaled
+  // here over all of them and reported once this animation ends
+  var metrics = emptyTimingMetrics();
+  var driverConfig = !config.onMetrics ? config : {
+    ...config,
+    onFrame: (frame) => {
+      addTimingFrame(metrics, frame);
+      config.onFrame && config.onFrame(frame);
+    },
+    onMetrics: null,
+  };
+  var reportMetrics = function(finished: bool): void {
+    if (config.onMetrics && metrics.frames > 0) {
+      config.onMetrics({...metrics, finished});
+    }
+    metrics = emptyTimingMetrics();
+  };
+
+  var totalTime = function(): number {
+    return (config.delay || 0) + withDefault(config.duration, 500);
+  };
+
+  // Composites count time as it passes while the driver seeks to a position
+  // in the animation, delay included, which moves playbackRate times as fast
+  // and from the end when played backward
+  var positionAt = function(time: number): number {
+    return playbackRate < 0 ?
+      totalTime() + time * playbackRate :
+      time * playbackRate;
+  };
+
+  var run = function(): void {
+    value.stopTracking();
+    var current = animation = new animationClass({
+      ...driverConfig,
+      fromValue,
+      playbackRate,
+    });
+    animateWithProgress(value, current, progress, (finished) => {
+      // Seeking replaces the running driver, the one it interrupts must not
+      // report back
+      if (current !== animation) {
+        return;
+      }
+      animation = null;
+      reportMetrics(finished);
+      callback && callback(finished);
+    });
+    fromValue = current.getInternalState().fromValue;
+  };
+
+  var result = withPromise({
+    progress,
+
+    start: function(cb?: ?(finished: bool) => void): void {
+      callback = cb;
+      paused = false;
+      fromValue = config.fromValue;
+      playbackRate = withDefault(config.playbackRate, 1);
+      metrics = emptyTimingMetrics();
+      run();
+    },
+
+    stop: function(): void {
+      value.stopAnimation();
+    },
+
+    __getValues: function(): Array<AnimatedValue> {
+      return [value];
+    },
+
+    pause: function(): void {
+      paused = true;
+      animation && animation.pause();
+    },
+
+    resume: function(): void {
+      paused = false;
+      animation && animation.resume();
+    },
+
+    seek: function(time: number): void {
+      result.__startAt(time, callback);
+      paused && result.pause();
+    },
+
+    // Plays the animation the other way from where it is, e.g. to undo a
+    // hover-in animation on hover-out. Once ended, it is run again from the
+    // end it reached.
+    reverse: function(): void {
+      playbackRate = -playbackRate;
+      if (animation) {
+        animation.setPlaybackRate(playbackRate);
+        return;
+      }
+      // Played this way, the end it reached is where it starts
+      result.__startAt(0, callback);
+      paused && result.pause();
+    },
+
+    // How long it plays for, at its playback rate
+    getDuration: function(): number {
+      return totalTime() / Math.abs(playbackRate);
+    },
+
+    __startAt: function(time: number, cb?: ?(finished: bool) => void): void {
+      callback = cb;
+      run();
+      animation.seek(positionAt(time));
+    },
+
+    // Puts the value where this animation has it at `time`, without running
+    __setTime: function(time: number): void {
+      var position = positionAt(time);
+      if (fromValue === undefined && position <= 0) {
+        // Never ran, so the value already is where it would start
+        return;
+      }
+      // Interrupts the running driver like a seek, which mustn't report back
+      animation = null;
+      value.stopTracking();
+      if (fromValue === undefined) {
+        // Without the offset, which setValue() leaves out
+        fromValue = value.getValue() - value.getOffset();
+      }
+      if (!sampler || sampler.getInternalState().fromValue !== fromValue) {
+        sampler = new animationClass({...config, fromValue});
+      }
+      value.setValue(sampler.__moveTo(position));
+      progress.setValue(sampler.getProgress());
+    },
+  });
+  return result;
+};
+
+/**
+ * How long Animated.spring takes to come to rest with this config from
+ * config.fromValue, by its restDisplacementThreshold and restSpeedThreshold,
+ * along with the curve of its value sampled every sampleInterval ms, e.g. to
+ * stagger other work after it or hand it over to CSS:
+ *
+ *   var {duration, samples} = Animated.estimateSpring({
+ *     fromValue: 0,
+ *     toValue: 100,
+ *     velocity: 0,
+ *     tension: 40,
+ *     friction: 7,
+ *   });
+ *
+ * Returns null for springs that don't come to rest within maxDuration ms.
+ */
+var estimateSpring = function(
+  config: SpringAnimationConfig & {fromValue: number},
+  sampleInterval?: number,
+  maxDuration?: number
+): ?SpringEstimate {
+  invariant(typeof config.toValue === 'number', 'ESTIMATE_SPRING_TO_VALUE');
+  invariant(
+    typeof config.fromValue === 'number',
+    'ESTIMATE_SPRING_FROM_VALUE'
+  );
+  return new SpringAnimation(config).estimate(
+    config.fromValue,
+    withDefault(sampleInterval, 1000 / 60),
+    withDefault(maxDuration, 60000)
+  );
+};
+
+var timing = function(
+  value: AnimatedValue,
+  config: TimingAnimationConfig
+): CompositeAnimation {
+  return maybeVectorAnim(value, config, timing) ||
+    timeBasedAnimation(value, config, TimingAnimation);
+};
+
+/**
+ * Drives the value through several stops over a single duration, e.g.
+ *
+ *   Animated.keyframes(value, {
+ *     keyframes: [
+ *       {at: 0, value: 0},
+ *       {at: 0.3, value: 120, easing: Easing.out(Easing.quad)},
+ *       {at: 1, value: 100},
+ *     ],
+ *     duration: 1000,
+ *   })
+ */
+var keyframes = function(
+  value: AnimatedValue,
+  config: KeyframesAnimationConfig
+): CompositeAnimation {
+  return timeBasedAnimation(value, config, KeyframesAnimation);
+};
+
+var decay = function(
+  value: AnimatedValue,
+  config: DecayAnimationConfig
+): CompositeAnimation {
+  var progress = new AnimatedValue(0);
+  return maybeVectorAnim(value, config, decay) || withPromise({
+    progress,
+
+    start: function(callback?: ?(finished: bool) => void): void {
+      value.stopTracking();
+      animateWithProgress(value, new DecayAnimation(config), progress, callback);
+    },
+
+    stop: function(): void {
+      value.stopAnimation();
+    },
+
+    __getValues: function(): Array<AnimatedValue> {
+      return [value];
+    },
+  });
+};
+
+/**
+ * Throws the value under a constant acceleration, e.g. to drop an element
+ * into place with a couple of bounces:
+ *
+ *   Animated.gravity(value, {acceleration: 3000, floor: 400, restitution: 0.4})
+ */
+var gravity = function(
+  value: AnimatedValue,
+  config: GravityAnimationConfig
+): CompositeAnimation {
+  var progress = new AnimatedValue(0);
+  return maybeVectorAnim(value, config, gravity) || withPromise({
+    progress,
+
+    start: function(callback?: ?(finished: bool) => void): void {
+      value.stopTracking();
+      animateWithProgress(value, new GravityAnimation(config), progress, callback);
+    },
+
+    stop: function(): void {
+      value.stopAnimation();
+    },
+
+    __getValues: function(): Array<AnimatedValue> {
+      return [value];
+    },
+  });
+};
+
+type SnapAnimationConfig = {
+  // Compared with getValue(), so offset included
+  points: Array<number>;
+  // Units per ms, like decay, usually the one a gesture ended with. Picked up
+  // from the animation it interrupts when left out.
+  velocity?: number;
+  deceleration?: number;
+  // The rest is the config of the spring to the chosen point, e.g. tension
+  // and friction
+};
+
+/**
+ * Springs the value to the snap point nearest to where a decay with the
+ * same velocity and deceleration would bring it to rest, e.g. to settle a
+ * thrown card into a slot:
+ *
+ *   Animated.snap(value, {points: [0, 300, 600], velocity})
+ */
+var snap = function(
+  value: AnimatedValue,
+  config: SnapAnimationConfig
+): CompositeAnimation {
+  var {points, velocity, deceleration, ...springConfig} = config;
+  invariant(points && points.length > 0, 'SNAP_NO_POINTS');
+  var hasVelocity = velocity !== undefined && velocity !== null;
+  var progress = new AnimatedValue(0);
+  return withPromise({
+    progress,
+
+    start: function(callback?: ?(finished: bool) => void): void {
+      value.stopTracking();
+      // Left out, it's the one the spring picks up from the animation it
+      // interrupts
+      var throwVelocity = hasVelocity ? velocity : value.__getVelocity();
+      var restValue = value.getValue() +
+        decayDistance(throwVelocity, deceleration || DEFAULT_DECELERATION);
+      var toValue = points[0];
+      points.forEach(point => {
+        if (Math.abs(point - restValue) < Math.abs(toValue - restValue)) {
+          toValue = point;
+        }
+      });
+      var animationConfig = {...springConfig, toValue: toValue - value.getOffset()};
+      if (hasVelocity) {
+        // Velocity is based on seconds instead of milliseconds
+        animationConfig.velocity = velocity * 1000;
+      }
+      var animation = new SpringAnimation(animationConfig);
+      animateWithProgress(value, animation, progress, callback);
+    },
+
+    stop: function(): void {
+      value.stopAnimation();
+    },
+
+    __getValues: function(): Array<AnimatedValue> {
+      return [value];
+    },
+  });
+};
+
+var sequence = function(
+  animations: Array<CompositeAnimation>
+): CompositeAnimation {
+  var current = 0;
+  var callback: ?(finished: bool) => void = null;
+  var paused = false;
+  // Bumped whenever the sequence is (re)started or rearranged by a seek, so
+  // that the animations it interrupted can't move it along anymore
+  var generation = 0;
+
+  var onComplete = function(finished) {
+    if (!finished) {
+      callback && callback(finished);
+      return;
+    }
+
+    current++;
+
+    if (current === animations.length) {
+      callback && callback(/* finished */ true);
+      return;
+    }
+
+    animations[current].start(onCompleteOf(generation));
+  };
+
+  var onCompleteOf = function(startGeneration: number) {
+    return function(finished) {
+      startGeneration === generation && onComplete(finished);
+    };
+  };
+
+  var progress = new AnimatedValue(0);
+  var updateProgress = function(): void {
+    if (current >= animations.length) {
+      progress.setValue(1);
+      return;
+    }
+    var weights = progressWeights(animations) || animations.map(() => 1);
+    var done = 0;
+    var total = 0;
+    weights.forEach((weight, i) => {
+      if (i < current) {
+        done += weight;
+      } else if (i === current) {
+        done += weight * animations[i].progress.getValue();
+      }
+      total += weight;
+    });
+    progress.setValue(done / total);
+  };
+  animations.forEach(animation => {
+    animation.progress.addListener(updateProgress);
+  });
+
+  var startOf = function(index: number): number {
+    var time = 0;
+    for (var i = 0; i < index; i++) {
+      time += seekable(animations[i]).getDuration();
+    }
+    return time;
+  };
+
+  // Index of the animation playing `time` ms into the sequence. All the
+  // others are put in the state they have at that time, later ones first so
+  // that earlier ones win when several of them drive the same value.
+  var arrangeAt = function(time: number): number {
+    var index = 0;
+    while (index < animations.length - 1 && time >= startOf(index + 1)) {
+      index++;
+    }
+    for (var i = animations.length - 1; i > index; i--) {
+      seekable(animations[i]).__setTime(0);
+    }
+    for (i = 0; i < index; i++) {
+      animations[i].__setTime(animations[i].getDuration());
+    }
+    return index;
+  };
+
+  var result = withPromise({
+    progress,
+
+    start: function(cb?: ?(finished: bool) => void) {
+      callback = cb;
+      paused = false;
+      current = 0;
+      generation++;
+      if (animations.length === 0) {
+        callback && callback(/* finished */ true);
+      } else {
+        animations[current].start(onCompleteOf(generation));
+      }
+      updateProgress();
+    },
+
+    stop: function() {
+      if (current < animations.length) {
+        animations[current].stop();
+      }
+    },
+
+    __getValues: function(): Array<AnimatedValue> {
+      return valuesOf(animations);
+    },
+
+    pause: function(): void {
+      paused = true;
+      if (current < animations.length) {
+        seekable(animations[current]).pause();
+      }
+    },
+
+    resume: function(): void {
+      paused = false;
+      if (current < animations.length) {
+        seekable(animations[current]).resume();
+      }
+    },
+
+    seek: function(time: number): void {
+      result.__startAt(time, callback);
+      paused && result.pause();
+    },
+
+    getDuration: function(): ?number {
+      var duration = 0;
+      for (var i = 0; i < animations.length; i++) {
+        var animationDuration = durationOf(animations[i]);
+        if (animationDuration === null) {
+          return null;
+        }
+        duration += animationDuration;
+      }
+      return duration;
+    },
+
+    __startAt: function(time: number, cb?: ?(finished: bool) => void): void {
+      callback = cb;
+      if (animations.length === 0) {
+        callback && callback(/* finished */ true);
+        return;
+      }
+      generation++;
+      current = arrangeAt(time);
+      seekable(animations[current])
+        .__startAt(time - startOf(current), onCompleteOf(generation));
+      updateProgress();
+    },
+
+    __setTime: function(time: number): void {
+      if (animations.length === 0) {
+        return;
+      }
+      generation++;
+      current = arrangeAt(time);
+      seekable(animations[current]).__setTime(time - startOf(current));
+      updateProgress();
+    },
+  });
+
+  return result;
+};
+
+var parallel = function(
+  animations: Array<CompositeAnimation>
+): CompositeAnimation {
+  var doneCount = 0;
+  // Variable to make sure we only call stop() at most once
+  var hasBeenStopped = false;
+  var callback: ?(finished: bool) => void = null;
+  var paused = false;
+  // Bumped whenever the animations are (re)started or rearranged by a seek,
+  // so that the ones it interrupted don't count as done
+  var generation = 0;
+
+  var onEnd = function(finished) {
+    doneCount++;
+    if (doneCount === animations.length) {
+      callback && callback(finished);
+      return;
+    }
+
+    if (!finished && !hasBeenStopped) {
+      result.stop();
+    }
+  };
+
+  // Tracking animations end again whenever the value they track moves and
+  // they catch up with it, but each animation only counts once
+  var onEndOf = function(startGeneration: number) {
+    var hasEnded = false;
+    return function(finished) {
+      if (startGeneration === generation && !hasEnded) {
+        hasEnded = true;
+        onEnd(finished);
+      }
+    };
+  };
+
+  // As all the animations start together, how far the parallel is only
+  // depends on the one furthest along in time when they all have a
+  // duration. Otherwise, it's the average of their progress.
+  var progress = new AnimatedValue(0);
+  var updateProgress = function(): void {
+    if (animations.length === 0) {
+      progress.setValue(1);
+      return;
+    }
+    var weights = progressWeights(animations);
+    var done = 0;
+    var total = 0;
+    animations.forEach((animation, i) => {
+      var animationProgress = animation.progress.getValue();
+      if (weights) {
+        done = Math.max(done, weights[i] * animationProgress);
+        total = Math.max(total, weights[i]);
+      } else {
+        done += animationProgress;
+        total++;
+      }
+    });
+    progress.setValue(done / total);
+  };
+  animations.forEach(animation => {
+    animation.progress.addListener(updateProgress);
+  });
+
+  var result = withPromise({
+    progress,
+
+    start: function(cb?: ?(finished: bool) => void) {
+      callback = cb;
+      paused = false;
+      doneCount = 0;
+      hasBeenStopped = false;
+      generation++;
+      if (animations.length === 0) {
+        updateProgress();
+        callback && callback(/* finished */ true);
+        return;
+      }
+
+      animations.forEach((animation, idx) => {
+        animation.start(onEndOf(generation));
+      });
+      updateProgress();
+    },
+
+    stop: function(): void {
+      hasBeenStopped = true;
+      animations.forEach(animation => {
+        animation.stop();
+      });
+    },
+
+    __getValues: function(): Array<AnimatedValue> {
+      return valuesOf(animations);
+    },
+
+    pause: function(): void {
+      paused = true;
+      animations.forEach(animation => {
+        seekable(animation).pause();
+      });
+    },
+
+    resume: function(): void {
+      paused = false;
+      animations.forEach(animation => {
+        seekable(animation).resume();
+      });
+    },
+
+    seek: function(time: number): void {
+      result.__startAt(time, callback);
+      paused && result.pause();
+    },
+
+    getDuration: function(): ?number {
+      var duration = 0;
+      for (var i = 0; i < animations.length; i++) {
+        var animationDuration = durationOf(animations[i]);
+        if (animationDuration === null) {
+          return null;
+        }
+        duration = Math.max(duration, animationDuration);
+      }
+      return duration;
+    },
+
+    // Animations that already ended by `time` are started at their end and
+    // finish on the next frame, so that nothing completes while paused
+    __startAt: function(time: number, cb?: ?(finished: bool) => void): void {
+      callback = cb;
+      doneCount = 0;
+      hasBeenStopped = false;
+      generation++;
+      if (animations.length === 0) {
+        updateProgress();
+        callback && callback(/* finished */ true);
+        return;
+      }
+      animations.forEach(animation => {
+        var duration = seekable(animation).getDuration();
+        animation.__startAt(Math.min(time, duration), onEndOf(generation));
+      });
+      updateProgress();
+    },
+
+    __setTime: function(time: number): void {
+      generation++;
+      animations.forEach(animation => {
+        var duration = seekable(animation).getDuration();
+        animation.__setTime(Math.min(time, duration));
+      });
+      updateProgress();
+    },
+  });
+
+  return result;
+};
+
+var delay = function(time: number): CompositeAnimation {
+  // Would be nice to make a specialized implementation.
+  return timing(new AnimatedValue(0), {toValue: 0, delay: time, duration: 0});
+};
+
+var stagger = function(
+  time: number,
+  animations: Array<CompositeAnimation>
+): CompositeAnimation {
+  return parallel(animations.map((animation, i) => {
+    return sequence([
+      delay(time * i),
+      animation,
+    ]);
+  }));
+};
+
+type LoopAnimationConfig = {
+  // Number of times to run the animation, -1 (the default) loops forever
+  iterations?: number;
+  // Put the values back where the animation starts before every iteration,
+  // true by default. Timing based animations are seeked back to their start,
+  // the others get their values set back to where they were when the loop
+  // started.
+  resetBeforeIteration?: bool;
+};
+
+var loop = function(
+  animation: CompositeAnimation,
+  config?: LoopAnimationConfig
+): CompositeAnimation {
+  config = config || {};
+  var iterations = withDefault(config.iterations, -1);
+  var resetBeforeIteration = withDefault(config.resetBeforeIteration, true);
+  var isSeekable = durationOf(animation) !== null;
+  // Where the values of an animation that can't be seeked start from
+  var startValues: Array<{value: AnimatedValue; start: number}> = [];
+
+  var iterationsSoFar = 0;
+  var callback: ?(finished: bool) => void = null;
+  var paused = false;
+  // Bumped whenever the loop is (re)started or rearranged by a seek, so that
+  // the iteration it interrupted can't start a new one
+  var generation = 0;
+
+  var restart = function(finished) {
+    if (!finished || iterationsSoFar === iterations) {
+      callback && callback(finished);
+      return;
+    }
+    iterationsSoFar++;
+    resetBeforeIteration && reset();
+    animation.start(restartOf(generation));
+  };
+
+  var reset = function(): void {
+    if (isSeekable) {
+      animation.__setTime(0);
+      return;
+    }
+    startValues.forEach(({value, start}) => value.setValue(start));
+  };
+
+  var restartOf = function(startGeneration: number) {
+    return function(finished) {
+      startGeneration === generation && restart(finished);
+    };
+  };
+
+  // Within the current iteration when looping forever
+  var progress = new AnimatedValue(0);
+  var updateProgress = function(): void {
+    var iterationProgress = animation.progress.getValue();
+    if (iterations === -1) {
+      progress.setValue(iterationProgress);
+    } else if (iterations === 0) {
+      progress.setValue(1);
+    } else {
+      progress.setValue((iterationsSoFar - 1 + iterationProgress) / iterations);
+    }
+  };
+  animation.progress.addListener(updateProgress);
+
+  var iterationAt = function(time: number): number {
+    var duration = seekable(animation).getDuration();
+    var iteration = duration > 0 ? Math.floor(time / duration) : 0;
+    if (iterations !== -1) {
+      iteration = Math.min(iteration, iterations - 1);
+    }
+    return iteration;
+  };
+
+  var result = withPromise({
+    progress,
+
+    start: function(cb?: ?(finished: bool) => void): void {
+      callback = cb;
+      paused = false;
+      iterationsSoFar = 0;
+      generation++;
+      if (!isSeekable) {
+        // Without the offset, which setValue() leaves out
+        startValues = animation.__getValues().map(value => ({
+          value,
+          start: value.getValue() - value.getOffset(),
+        }));
+      }
+      restart(/* finished */ true);
+      updateProgress();
+    },
+
+    stop: function(): void {
+      animation.stop();
+    },
+
+    __getValues: function(): Array<AnimatedValue> {
+      return animation.__getValues();
+    },
+
+    pause: function(): void {
+      paused = true;
+      seekable(animation).pause();
+    },
+
+    resume: function(): void {
+      paused = false;
+      seekable(animation).resume();
+    },
+
+    seek: function(time: number): void {
+      result.__startAt(time, callback);
+      paused && result.pause();
+    },
+
+    getDuration: function(): ?number {
+      var duration = durationOf(animation);
+      if (duration === null || iterations === -1) {
+        return duration === null ? null : Infinity;
+      }
+      return iterations * duration;
+    },
+
+    __startAt: function(time: number, cb?: ?(finished: bool) => void): void {
+      callback = cb;
+      generation++;
+      if (iterations === 0) {
+        callback && callback(/* finished */ true);
+        return;
+      }
+      var iteration = iterationAt(time);
+      iterationsSoFar = iteration + 1;
+      animation.__startAt(
+        time - iteration * animation.getDuration(),
+        restartOf(generation)
+      );
+      updateProgress();
+    },
+
+    __setTime: function(time: number): void {
+      generation++;
+      if (iterations === 0) {
+        return;
+      }
+      var iteration = iterationAt(time);
+      iterationsSoFar = iteration + 1;
+      animation.__setTime(time - iteration * animation.getDuration());
+      updateProgress();
+    },
+  });
+
+  return result;
+};
+
+type TimelinePosition = {
+  // Absolute start time in ms
+  at?: number;
+  // Start time in ms relative to the end of the previously added animation
+  offset?: number;
+};
+
+/**
+ * Places timing based animations at given times and plays them all off a
+ * single clock, e.g.
+ *
+ *   Animated.timeline()
+ *     .add(Animated.timing(opacity, {toValue: 1, duration: 300}))
+ *     .add(Animated.timing(left, {toValue: 100}), {offset: -100})
+ *     .add(Animated.timing(top, {toValue: 100}), {at: 700})
+ *     .start();
+ *
+ * The timeline is itself a timing based animation: it can be paused, seeked
+ * and reversed, and put in a sequence or in another timeline. `progress` is
+ * an Animated.Value going from 0 to 1 as the timeline plays.
+ */
+var timeline = function(): CompositeAnimation {
+  // Sorted by start time. `time` is the time last set on the animation, so
+  // that the ones at rest aren't set again on every frame.
+  var entries: Array<{animation: CompositeAnimation; at: number; time: ?number}> = [];
+  // Where animations added with an offset count from
+  var end = 0;
+  var clockTime = new AnimatedValue(0);
+  var progress = new AnimatedValue(0);
+  var clock: ?CompositeAnimation = null;
+  var callback: ?(finished: bool) => void = null;
+  var paused = false;
+  // Bumped whenever the clock is rebuilt, so that the one it replaced can't
+  // end the timeline
+  var generation = 0;
+
+  var getDuration = function(): number {
+    return entries.reduce(
+      (duration, entry) => Math.max(duration, entry.at + entry.animation.getDuration()),
+      0
+    );
+  };
+
+  // Puts every animation where it is at `currentTime`. The ones that haven't
+  // started yet go first, latest first, so that when several of them drive
+  // the same value the ones that started win.
+  var arrangeAt = function(currentTime: number): void {
+    for (var i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].at > currentTime) {
+        setEntryTime(entries[i], 0);
+      }
+    }
+    entries.forEach(entry => {
+      if (entry.at <= currentTime) {
+        setEntryTime(
+          entry,
+          Math.min(currentTime - entry.at, entry.animation.getDuration())
+        );
+      }
+    });
+    var duration = getDuration();
+    progress.setValue(duration ? Math.min(currentTime / duration, 1) : 1);
+  };
+
+  var setEntryTime = function(entry, entryTime: number): void {
+    if (entry.time !== entryTime) {
+      entry.time = entryTime;
+      entry.animation.__setTime(entryTime);
+    }
+  };
+
+  clockTime.addListener(({value}) => arrangeAt(value));
+
+  var onEndOf = function(startGeneration: number) {
+    return function(finished) {
+      startGeneration === generation && callback && callback(finished);
+    };
+  };
+
+  // The clock is rebuilt whenever the timeline is (re)started so that it
+  // picks up animations added in between
+  var startClock = function(): CompositeAnimation {
+    generation++;
+    var duration = getDuration();
+    clock = timing(clockTime, {
+      fromValue: 0,
+      toValue: duration,
+      duration,
+      easing: Easing.linear,
+    });
+    return clock;
+  };
+
+  var result = withPromise({
+    progress,
+
+    add: function(
+      animation: CompositeAnimation,
+      position?: TimelinePosition
+    ): CompositeAnimation {
+      var duration = seekable(animation).getDuration();
+      position = position || {};
+      var at = position.at !== undefined ?
+        position.at :
+        end + (position.offset || 0);
+      invariant(at >= 0, 'TIMELINE_NEGATIVE_TIME', at);
+      var index = entries.length;
+      while (index > 0 && entries[index - 1].at > at) {
+        index--;
+      }
+      entries.splice(index, 0, {animation, at, time: null});
+      end = at + duration;
+      return result;
+    },
+
+    start: function(cb?: ?(finished: bool) => void): void {
+      callback = cb;
+      paused = false;
+      startClock().start(onEndOf(generation));
+    },
+
+    stop: function(): void {
+      clock && clock.stop();
+    },
+
+    __getValues: function(): Array<AnimatedValue> {
+      return valuesOf(entries.map(entry => entry.animation));
+    },
+
+    pause: function(): void {
+      paused = true;
+      clock && clock.pause();
+    },
+
+    resume: function(): void {
+      paused = false;
+      clock && clock.resume();
+    },
+
+    seek: function(time: number): void {
+      result.__startAt(time, callback);
+      paused && result.pause();
+    },
+
+    // Without having been started, the timeline plays backward from its end
+    reverse: function(): void {
+      if (!clock) {
+        startClock().__startAt(getDuration(), onEndOf(generation));
+      }
+      clock.reverse();
+      paused && result.pause();
+    },
+
+    getDuration,
+
+    __startAt: function(time: number, cb?: ?(finished: bool) => void): void {
+      callback = cb;
+      startClock().__startAt(time, onEndOf(generation));
+    },
+
+    __setTime: function(time: number): void {
+      (clock || startClock()).__setTime(time);
+    },
+  });
+
+  return result;
+};
+
+type Mapping = {[key: string]: Mapping} | AnimatedValue;
+
+/**
+ *  Takes an array of mappings and extracts values from each arg accordingly,
+ *  then calls setValue on the mapped outputs.  e.g.
+ *
+ *  onScroll={this.AnimatedEvent(
+ *    [{nativeEvent: {contentOffset: {x: this._scrollX}}}]
+ *    {listener, updatePeriod: 100}  // optional listener invoked every 100ms
+ *  )
+ *  ...
+ *  onPanResponderMove: this.AnimatedEvent([
+ *    null,                               // raw event arg
+ *    {dx: this._panX},                   // gestureState arg
+ *  ]),
+ *
+ */
+var event = function(
+  argMapping: Array<Mapping>,
+  config?: any
+): () => void {
+  var lastUpdate = 0;
+  var timer;
+  var isEnabled = true;
+  if (config && config.ref) {
+    config.ref({
+      enable: () => {
+        isEnabled = true;
+      },
+      disable: () => {
+        isEnabled = false;
+        clearTimeout(timer);
+        timer = null;
+      },
+    });
+  }
+  var lastArgs;
+  return function(): void {
+    lastArgs = arguments;
+    if (!isEnabled) {
+      clearTimeout(timer);
+      timer = null;
+      return;
+    }
+    var traverse = function(recMapping, recEvt, key) {
+      if (recMapping instanceof AnimatedValue
+          || recMapping instanceof AnimatedInterpolation) {
+        invariant(
+          typeof recEvt === 'number',
+          'EVENT_BAD_ELEMENT',
+          typeof recEvt,
+          key
+        );
+        recMapping.setValue(recEvt);
+        return;
+      }
+      invariant(
+        typeof recMapping === 'object',
+        'EVENT_BAD_MAPPING',
+        typeof recMapping,
+        key
+      );
+      invariant(
+        typeof recEvt === 'object',
+        'EVENT_BAD_EVENT',
+        typeof recEvt,
+        key
+      );
+      for (var key in recMapping) {
+        traverse(recMapping[key], recEvt[key], key);
+      }
+    };
+    argMapping.forEach((mapping, idx) => {
+      traverse(mapping, lastArgs[idx], null);
+    });
+    if (config && config.listener && !timer) {
+      var cb = () => {
+        lastUpdate = Date.now();
+        timer = null;
+        config.listener.apply(null, lastArgs);
+      };
+      if (config.updatePeriod) {
+        timer = setTimeout(cb, config.updatePeriod - Date.now() + lastUpdate);
+      } else {
+        cb();
+      }
+    }
+  };
+};
+
+return module.exports = {
+  delay,
+  sequence,
+  parallel,
+  stagger,
+  loop,
+  timeline,
+
+  decay,
+  timing,
+  spring,
+  keyframes,
+  snap,
+  gravity,
+
+  estimateSpring,
+
+  event,
+
+  setScheduler,
+  ManualScheduler,
+
+  add,
+  multiply,
+  divide,
+  modulo,
+  diffClamp,
+
+  Value: AnimatedValue,
+  Vec2: AnimatedVec2,
+  Vector: AnimatedVector,
+  Props: AnimatedProps,
+  __PropsOnlyForTests: AnimatedProps,
+};
+
+})();
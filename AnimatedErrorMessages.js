@@ -0,0 +1,89 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule AnimatedErrorMessages
+ * @flow
+ */
+'use strict';
+
+/**
+ * The messages of every error and warning, by code. Production builds leave
+ * this module out and only report the codes, so a code must never change
+ * meaning once released: add a new one instead.
+ *
+ * Messages are printf-style, each %s is replaced by the next argument given
+ * to invariant() or warning().
+ */
+var messages = {
+  INTERPOLATION_RANGE_TOO_SHORT: '%s must have at least 2 elements',
+  INTERPOLATION_RANGE_INFINITE: '%s cannot be ]-infinity;+infinity[ %s',
+  INTERPOLATION_INPUT_RANGE_NOT_INCREASING:
+    'inputRange must be monolithically increasing %s',
+  INTERPOLATION_RANGE_LENGTH_MISMATCH:
+    'inputRange (%s) and outputRange (%s) must have the same length',
+  INTERPOLATION_INPUT_NOT_A_NUMBER:
+    'Cannot interpolate an input which is not a number',
+  INTERPOLATION_BAD_OUTPUT_RANGE: 'Bad output range',
+  INTERPOLATION_INVALID_PATTERN: 'invalid pattern %s and %s',
+  OPERATION_INPUT_NOT_A_NUMBER:
+    'Cannot compute a value from an input which is not a number',
+  UNKNOWN_COLOR_SPACE: 'Unknown color space %s, use rgb, hsl or oklab',
+  MODULO_BY_ZERO: 'modulo needs a modulus other than 0',
+  DIVIDE_BY_ZERO: 'Dividing by zero, which gives 0 instead of Infinity',
+
+  SCHEDULER_INVALID_FRAME_DURATION:
+    'ManualScheduler frameDuration must be greater than 0, got %s',
+  KEYFRAMES_EMPTY: 'keyframes must have at least one keyframe',
+  KEYFRAME_OUT_OF_RANGE: 'keyframe at must be between 0 and 1, got %s',
+  KEYFRAMES_NOT_SORTED: 'keyframes must be sorted by increasing at',
+  DECAY_INVALID_BOUNDS: 'decay min must not be greater than max, got %s > %s',
+  SPRING_CONFLICTING_CONFIG:
+    'You can only define one of bounciness/speed, tension/friction, ' +
+    'stiffness/damping/mass or dampingRatio/duration',
+  SPRING_INVALID_MASS: 'Spring mass must be greater than 0, got %s',
+  SPRING_NEGATIVE_STIFFNESS_OR_DAMPING:
+    'Spring stiffness and damping must not be negative, got %s and %s',
+  SPRING_NEGATIVE_DAMPING_RATIO:
+    'Spring dampingRatio must not be negative, got %s',
+  SPRING_INVALID_DURATION: 'Spring duration must be greater than 0, got %s',
+  SPRING_UNKNOWN_SOLVER: 'Spring solver must be rk4 or analytical, got %s',
+  GRAVITY_INVALID_RESTITUTION:
+    'gravity restitution must be between 0 and 1, got %s',
+  GRAVITY_FLOOR_WITHOUT_ACCELERATION:
+    'gravity needs a non-zero acceleration to bounce on a floor',
+  ESTIMATE_SPRING_TO_VALUE: 'estimateSpring only supports a number toValue',
+  ESTIMATE_SPRING_FROM_VALUE: 'estimateSpring needs the fromValue of the spring',
+  ESTIMATE_SPRING_INVALID_SAMPLING:
+    'estimateSpring sampleInterval must be greater than 0 and maxDuration ' +
+    'must not be negative, got %s and %s',
+  SNAP_NO_POINTS: 'snap points must have at least one point',
+
+  NOT_SEEKABLE: 'Only timing based animations can be paused, resumed or seeked',
+  TIMELINE_NEGATIVE_TIME: 'Animations cannot be placed before 0ms, got %s',
+
+  EVENT_BAD_ELEMENT: 'Bad event element of type %s for key %s',
+  EVENT_BAD_MAPPING: 'Bad mapping of type %s for key %s',
+  EVENT_BAD_EVENT: 'Bad event of type %s for key %s',
+
+  REMOVE_MISSING_CHILD: 'Trying to remove a child that doesn\'t exist',
+  UPDATE_DETACHED_TRACKING: 'calling update on detached AnimatedTracking',
+};
+
+var AnimatedErrorMessages = {
+  format(code: string, args: Array<any>): string {
+    var format = messages[code];
+    if (format === undefined) {
+      return 'Unknown error code ' + code;
+    }
+    var argIndex = 0;
+    var message = format.replace(/%s/g, () => String(args[argIndex++]));
+    return message + ' (' + code + ')';
+  },
+};
+
+module.exports = AnimatedErrorMessages;
@@ -0,0 +1,350 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule Color
+ * @flow
+ */
+'use strict';
+
+var invariant = require('./invariant');
+
+// Channels from 0 to 255, alpha from 0 to 1
+type RGBA = {r: number; g: number; b: number; a: number};
+
+type ColorSpace = 'rgb' | 'hsl' | 'oklab';
+
+/**
+ * Parses CSS colors and converts them between color spaces, so that colors
+ * can be interpolated in the space that looks best: rgb mixes the channels
+ * like the browser does, hsl goes around the hue circle and oklab keeps the
+ * perceived lightness even.
+ */
+var Color = {
+  // Null when `color` isn't a color: hex (#rgb, #rgba, #rrggbb, #rrggbbaa),
+  // rgb(), rgba(), hsl(), hsla() or a named color
+  parse(color: string): ?RGBA {
+    color = color.trim().toLowerCase();
+    if (namedColors.hasOwnProperty(color)) {
+      color = namedColors[color];
+    }
+
+    var match;
+    if ((match = color.match(hexRegex))) {
+      var hex = match[1];
+      if (hex.length <= 4) {
+        hex = hex.split('').map(digit => digit + digit).join('');
+      }
+      return {
+        r: parseInt(hex.slice(0, 2), 16),
+        g: parseInt(hex.slice(2, 4), 16),
+        b: parseInt(hex.slice(4, 6), 16),
+        a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1,
+      };
+    }
+
+    if ((match = color.match(functionRegex))) {
+      var args = match[2].split(/\s*[,\/]\s*|\s+/);
+      if (args.length !== 3 && args.length !== 4) {
+        return null;
+      }
+      var alpha = args.length === 4 ? parseComponent(args[3], 1) : 1;
+      var rgba = match[1] === 'rgb' || match[1] === 'rgba' ?
+        {
+          r: parseComponent(args[0], 255),
+          g: parseComponent(args[1], 255),
+          b: parseComponent(args[2], 255),
+          a: alpha,
+        } :
+        hslToRgb([
+          parseFloat(args[0]),
+          parseComponent(args[1], 1),
+          parseComponent(args[2], 1),
+          alpha,
+        ]);
+      var isValid = [rgba.r, rgba.g, rgba.b, rgba.a].every(
+        component => !isNaN(component)
+      );
+      return isValid ? clamp(rgba) : null;
+    }
+
+    return null;
+  },
+
+  // Three components in `space` followed by alpha
+  toSpace(color: RGBA, space: ColorSpace): Array<number> {
+    invariant(spaces.hasOwnProperty(space), 'UNKNOWN_COLOR_SPACE', space);
+    return spaces[space].fromRgb(color);
+  },
+
+  fromSpace(components: Array<number>, space: ColorSpace): RGBA {
+    invariant(spaces.hasOwnProperty(space), 'UNKNOWN_COLOR_SPACE', space);
+    return clamp(spaces[space].toRgb(components));
+  },
+
+  toString(color: RGBA): string {
+    return 'rgba(' + Math.round(color.r) + ', ' + Math.round(color.g) + ', ' +
+      Math.round(color.b) + ', ' + Math.round(color.a * 1000) / 1000 + ')';
+  },
+};
+
+var hexRegex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/;
+var functionRegex = /^(rgba?|hsla?)\(\s*(.*?)\s*\)$/;
+
+// `max` is what 100% stands for
+function parseComponent(component: string, max: number): number {
+  if (component[component.length - 1] === '%') {
+    return parseFloat(component) / 100 * max;
+  }
+  return parseFloat(component);
+}
+
+function clamp(color: RGBA): RGBA {
+  var clampChannel = channel => Math.min(Math.max(channel, 0), 255);
+  return {
+    r: clampChannel(color.r),
+    g: clampChannel(color.g),
+    b: clampChannel(color.b),
+    a: Math.min(Math.max(color.a, 0), 1),
+  };
+}
+
+// Hue in degrees, saturation and lightness from 0 to 1
+function rgbToHsl({r, g, b, a}: RGBA): Array<number> {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  var max = Math.max(r, g, b);
+  var min = Math.min(r, g, b);
+  var lightness = (max + min) / 2;
+  if (max === min) {
+    // Gray, the hue doesn't matter
+    return [0, 0, lightness, a];
+  }
+  var delta = max - min;
+  var saturation = delta / (1 - Math.abs(2 * lightness - 1));
+  var hue;
+  if (max === r) {
+    hue = (g - b) / delta + (g < b ? 6 : 0);
+  } else if (max === g) {
+    hue = (b - r) / delta + 2;
+  } else {
+    hue = (r - g) / delta + 4;
+  }
+  return [hue * 60, saturation, lightness, a];
+}
+
+function hslToRgb([hue, saturation, lightness, a]: Array<number>): RGBA {
+  hue = ((hue % 360) + 360) % 360;
+  var chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  var channel = n => {
+    var k = (n + hue / 30) % 12;
+    return 255 * (lightness - chroma / 2 *
+      Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+  return {r: channel(0), g: channel(8), b: channel(4), a};
+}
+
+// https://bottosson.github.io/posts/oklab/
+function rgbToOklab({r, g, b, a}: RGBA): Array<number> {
+  var linear = channel => {
+    channel /= 255;
+    return channel <= 0.04045 ?
+      channel / 12.92 :
+      Math.pow((channel + 0.055) / 1.055, 2.4);
+  };
+  r = linear(r);
+  g = linear(g);
+  b = linear(b);
+  var l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  var m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  var s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+    a,
+  ];
+}
+
+function oklabToRgb([lightness, greenRed, blueYellow, a]: Array<number>): RGBA {
+  var l = Math.pow(lightness + 0.3963377774 * greenRed + 0.2158037573 * blueYellow, 3);
+  var m = Math.pow(lightness - 0.1055613458 * greenRed - 0.0638541728 * blueYellow, 3);
+  var s = Math.pow(lightness - 0.0894841775 * greenRed - 1.2914855480 * blueYellow, 3);
+  var gamma = channel => 255 * (channel <= 0.0031308 ?
+    12.92 * channel :
+    1.055 * Math.pow(channel, 1 / 2.4) - 0.055);
+  return {
+    r: gamma(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    g: gamma(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    b: gamma(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s),
+    a,
+  };
+}
+
+var spaces = {
+  rgb: {
+    fromRgb: ({r, g, b, a}) => [r, g, b, a],
+    toRgb: ([r, g, b, a]) => ({r, g, b, a}),
+  },
+  hsl: {fromRgb: rgbToHsl, toRgb: hslToRgb},
+  oklab: {fromRgb: rgbToOklab, toRgb: oklabToRgb},
+};
+
+var namedColors = {
+  transparent: '#00000000',
+  aliceblue: '#f0f8ff',
+  antiquewhite: '#faebd7',
+  aqua: '#00ffff',
+  aquamarine: '#7fffd4',
+  azure: '#f0ffff',
+  beige: '#f5f5dc',
+  bisque: '#ffe4c4',
+  black: '#000000',
+  blanchedalmond: '#ffebcd',
+  blue: '#0000ff',
+  blueviolet: '#8a2be2',
+  brown: '#a52a2a',
+  burlywood: '#deb887',
+  cadetblue: '#5f9ea0',
+  chartreuse: '#7fff00',
+  chocolate: '#d2691e',
+  coral: '#ff7f50',
+  cornflowerblue: '#6495ed',
+  cornsilk: '#fff8dc',
+  crimson: '#dc143c',
+  cyan: '#00ffff',
+  darkblue: '#00008b',
+  darkcyan: '#008b8b',
+  darkgoldenrod: '#b8860b',
+  darkgray: '#a9a9a9',
+  darkgreen: '#006400',
+  darkgrey: '#a9a9a9',
+  darkkhaki: '#bdb76b',
+  darkmagenta: '#8b008b',
+  darkolivegreen: '#556b2f',
+  darkorange: '#ff8c00',
+  darkorchid: '#9932cc',
+  darkred: '#8b0000',
+  darksalmon: '#e9967a',
+  darkseagreen: '#8fbc8f',
+  darkslateblue: '#483d8b',
+  darkslategray: '#2f4f4f',
+  darkslategrey: '#2f4f4f',
+  darkturquoise: '#00ced1',
+  darkviolet: '#9400d3',
+  deeppink: '#ff1493',
+  deepskyblue: '#00bfff',
+  dimgray: '#696969',
+  dimgrey: '#696969',
+  dodgerblue: '#1e90ff',
+  firebrick: '#b22222',
+  floralwhite: '#fffaf0',
+  forestgreen: '#228b22',
+  fuchsia: '#ff00ff',
+  gainsboro: '#dcdcdc',
+  ghostwhite: '#f8f8ff',
+  gold: '#ffd700',
+  goldenrod: '#daa520',
+  gray: '#808080',
+  green: '#008000',
+  greenyellow: '#adff2f',
+  grey: '#808080',
+  honeydew: '#f0fff0',
+  hotpink: '#ff69b4',
+  indianred: '#cd5c5c',
+  indigo: '#4b0082',
+  ivory: '#fffff0',
+  khaki: '#f0e68c',
+  lavender: '#e6e6fa',
+  lavenderblush: '#fff0f5',
+  lawngreen: '#7cfc00',
+  lemonchiffon: '#fffacd',
+  lightblue: '#add8e6',
+  lightcoral: '#f08080',
+  lightcyan: '#e0ffff',
+  lightgoldenrodyellow: '#fafad2',
+  lightgray: '#d3d3d3',
+  lightgreen: '#90ee90',
+  lightgrey: '#d3d3d3',
+  lightpink: '#ffb6c1',
+  lightsalmon: '#ffa07a',
+  lightseagreen: '#20b2aa',
+  lightskyblue: '#87cefa',
+  lightslategray: '#778899',
+  lightslategrey: '#778899',
+  lightsteelblue: '#b0c4de',
+  lightyellow: '#ffffe0',
+  lime: '#00ff00',
+  limegreen: '#32cd32',
+  linen: '#faf0e6',
+  magenta: '#ff00ff',
+  maroon: '#800000',
+  mediumaquamarine: '#66cdaa',
+  mediumblue: '#0000cd',
+  mediumorchid: '#ba55d3',
+  mediumpurple: '#9370db',
+  mediumseagreen: '#3cb371',
+  mediumslateblue: '#7b68ee',
+  mediumspringgreen: '#00fa9a',
+  mediumturquoise: '#48d1cc',
+  mediumvioletred: '#c71585',
+  midnightblue: '#191970',
+  mintcream: '#f5fffa',
+  mistyrose: '#ffe4e1',
+  moccasin: '#ffe4b5',
+  navajowhite: '#ffdead',
+  navy: '#000080',
+  oldlace: '#fdf5e6',
+  olive: '#808000',
+  olivedrab: '#6b8e23',
+  orange: '#ffa500',
+  orangered: '#ff4500',
+  orchid: '#da70d6',
+  palegoldenrod: '#eee8aa',
+  palegreen: '#98fb98',
+  paleturquoise: '#afeeee',
+  palevioletred: '#db7093',
+  papayawhip: '#ffefd5',
+  peachpuff: '#ffdab9',
+  peru: '#cd853f',
+  pink: '#ffc0cb',
+  plum: '#dda0dd',
+  powderblue: '#b0e0e6',
+  purple: '#800080',
+  rebeccapurple: '#663399',
+  red: '#ff0000',
+  rosybrown: '#bc8f8f',
+  royalblue: '#4169e1',
+  saddlebrown: '#8b4513',
+  salmon: '#fa8072',
+  sandybrown: '#f4a460',
+  seagreen: '#2e8b57',
+  seashell: '#fff5ee',
+  sienna: '#a0522d',
+  silver: '#c0c0c0',
+  skyblue: '#87ceeb',
+  slateblue: '#6a5acd',
+  slategray: '#708090',
+  slategrey: '#708090',
+  snow: '#fffafa',
+  springgreen: '#00ff7f',
+  steelblue: '#4682b4',
+  tan: '#d2b48c',
+  teal: '#008080',
+  thistle: '#d8bfd8',
+  tomato: '#ff6347',
+  turquoise: '#40e0d0',
+  violet: '#ee82ee',
+  wheat: '#f5deb3',
+  white: '#ffffff',
+  whitesmoke: '#f5f5f5',
+  yellow: '#ffff00',
+  yellowgreen: '#9acd32',
+};
+
+module.exports = Color;
@@ -10,6 +10,8 @@
  */
 'use strict';
 
+var bezier = require('./bezier');
+
 /**
  * This class implements common easing functions. The math is pretty obscure,
  * but this cool website has nice visual illustrations of what they represent:
@@ -11,6 +11,9 @@
  */
 'use strict';
 
+var Color = require('./Color');
+var invariant = require('./invariant');
+
 var linear = (t) => t;
 
 /**
@@ -21,6 +24,10 @@ class Interpolation {
   static create(config: InterpolationConfigType): (input: number) => number | string {
 
     if (config.outputRange && typeof config.outputRange[0] === 'string') {
+      var colors = config.outputRange.map(color => Color.parse(color));
+      if (colors.every(color => color)) {
+        return createInterpolationFromColorOutputRange(config, colors);
+      }
       return createInterpolationFromStringOutputRange(config);
     }
 
@@ -33,8 +40,9 @@ class Interpolation {
 
     invariant(
       inputRange.length === outputRange.length,
-      'inputRange (' + inputRange.length + ') and outputRange (' +
-      outputRange.length + ') must have the same length'
+      'INTERPOLATION_RANGE_LENGTH_MISMATCH',
+      inputRange.length,
+      outputRange.length
     );
 
     var easing = config.easing || linear;
@@ -54,10 +62,7 @@ class Interpolation {
     }
 
     return (input) => {
-      invariant(
-        typeof input === 'number',
-        'Cannot interpolation an input which is not a number'
-      );
+      invariant(typeof input === 'number', 'INTERPOLATION_INPUT_NOT_A_NUMBER');
 
       var range = findRange(input, inputRange);
       return interpolate(
@@ -156,7 +161,7 @@ function createInterpolationFromStringOutputRange(
   config: InterpolationConfigType
 ): (input: number) => string {
   var outputRange: Array<string> = (config.outputRange: any);
-  invariant(outputRange.length >= 2, 'Bad output range');
+  invariant(outputRange.length >= 2, 'INTERPOLATION_BAD_OUTPUT_RANGE');
   checkPattern(outputRange);
 
   // ['rgba(0, 100, 200, 0)', 'rgba(50, 150, 250, 0.5)']
@@ -192,12 +197,68 @@ function createInterpolationFromStringOutputRange(
   };
 }
 
+/**
+ * Interpolates colors written in any CSS syntax in config.colorSpace, rgb by
+ * default, and outputs them as rgba() strings, e.g.
+ *
+ *   outputRange: ['#ff0000', 'hsl(240, 100%, 50%)', 'white'],
+ *   colorSpace: 'oklab',
+ */
+function createInterpolationFromColorOutputRange(
+  config: InterpolationConfigType,
+  colors: Array<Object>
+): (input: number) => string {
+  invariant(colors.length >= 2, 'INTERPOLATION_BAD_OUTPUT_RANGE');
+  var space = config.colorSpace || 'rgb';
+  var components = colors.map(color => Color.toSpace(color, space));
+  if (space === 'hsl') {
+    fixHues(components);
+  }
+
+  var interpolations = [0, 1, 2, 3].map(i => Interpolation.create({
+    ...config,
+    outputRange: components.map(component => component[i]),
+  }));
+
+  return (input) => Color.toString(Color.fromSpace(
+    interpolations.map(interpolation => interpolation(input)),
+    space
+  ));
+}
+
+// Grays have no hue of their own, they take the one of the closest color so
+// that only the saturation changes. The others go around the hue circle the
+// short way.
+function fixHues(components: Array<Array<number>>) {
+  var isGray = i => components[i][1] === 0;
+  components.forEach((component, i) => {
+    if (!isGray(i)) {
+      return;
+    }
+    for (var distance = 1; distance < components.length; distance++) {
+      var j = [i - distance, i + distance].filter(
+        j => j >= 0 && j < components.length && !isGray(j)
+      )[0];
+      if (j !== undefined) {
+        component[0] = components[j][0];
+        return;
+      }
+    }
+  });
+  for (var i = 1; i < components.length; i++) {
+    var delta = components[i][0] - components[i - 1][0];
+    components[i][0] -= 360 * Math.round(delta / 360);
+  }
+}
+
 function checkPattern(arr: Array<string>) {
   var pattern = arr[0].replace(stringShapeRegex, '');
   for (var i = 1; i < arr.length; ++i) {
     invariant(
       pattern === arr[i].replace(stringShapeRegex, ''),
-      'invalid pattern ' + arr[0] + ' and ' + arr[i]
+      'INTERPOLATION_INVALID_PATTERN',
+      arr[0],
+      arr[i]
     );
   }
 }
@@ -212,32 +273,23 @@ function findRange(input: number, inputRange: Array<number>) {
 }
 
 function checkValidInputRange(arr: Array<number>) {
-  invariant(arr.length >= 2, 'inputRange must have at least 2 elements');
+  invariant(arr.length >= 2, 'INTERPOLATION_RANGE_TOO_SHORT', 'inputRange');
   for (var i = 1; i < arr.length; ++i) {
     invariant(
       arr[i] >= arr[i - 1],
-      /* $FlowFixMe(>=0.13.0) - In the addition expression below this comment,
-       * one or both of the operands may be something that doesn't cleanly
-       * convert to a string, like undefined, null, and object, etc. If you really
-       * mean this implicit string conversion, you can do something like
-       * String(myThing)
-       */
-      'inputRange must be monolithically increasing ' + arr
+      'INTERPOLATION_INPUT_RANGE_NOT_INCREASING',
+      arr
     );
   }
 }
 
 function checkInfiniteRange(name: string, arr: Array<number>) {
-  invariant(arr.length >= 2, name + ' must have at least 2 elements');
+  invariant(arr.length >= 2, 'INTERPOLATION_RANGE_TOO_SHORT', name);
   invariant(
     arr.length !== 2 || arr[0] !== -Infinity || arr[1] !== Infinity,
-    /* $FlowFixMe(>=0.13.0) - In the addition expression below this comment,
-     * one or both of the operands may be something that doesn't cleanly convert
-     * to a string, like undefined, null, and object, etc. If you really mean
-     * this implicit string conversion, you can do something like
-     * String(myThing)
-     */
-    name + 'cannot be ]-infinity;+infinity[ ' + arr
+    'INTERPOLATION_RANGE_INFINITE',
+    name,
+    arr
   );
 }
 
@@ -0,0 +1,102 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ */
+'use strict';
+
+// Strips the Flow types and compiles the JSX and ES6 of the modules into
+// lib/, where Node and bundlers can require them:
+//
+//   node build.js
+//   require('./lib/AnimatedCore')
+//
+// and bundles them into dist/animated.js for pages that load React with a
+// script tag, like index.html. The bundle defines the Animated global and,
+// as it isn't processed any further, has process.env.NODE_ENV replaced by
+// the one it is built with, development by default.
+//
+// The modules are found by following the require() calls from Animated.js.
+
+var fs = require('fs');
+var path = require('path');
+var JSXTransformer = require('./JSXTransformer');
+
+var ROOT = __dirname;
+var LIB = path.join(ROOT, 'lib');
+var DIST = path.join(ROOT, 'dist');
+
+var requireRegex = /require\('\.\/([^']+)'\)/g;
+
+// Module names, dependencies first
+function findModules(name, modules) {
+  modules = modules || [];
+  if (modules.indexOf(name) !== -1) {
+    return modules;
+  }
+  var source = fs.readFileSync(path.join(ROOT, name + '.js'), 'utf8');
+  var match;
+  requireRegex.lastIndex = 0;
+  var dependencies = [];
+  while ((match = requireRegex.exec(source))) {
+    dependencies.push(match[1]);
+  }
+  dependencies.forEach(dependency => findModules(dependency, modules));
+  modules.push(name);
+  return modules;
+}
+
+function compile(name) {
+  var source = fs.readFileSync(path.join(ROOT, name + '.js'), 'utf8');
+  return JSXTransformer.transform(source, {
+    harmony: true,
+    stripTypes: true,
+  }).code;
+}
+
+// Runs in the browser, where it requires the modules of the bundle by name
+// and React from the page
+function bundleRuntime(definitions, React, global) {
+  var cache = {};
+  function require(name) {
+    if (name === 'react') {
+      return React;
+    }
+    name = name.replace('./', '');
+    if (!cache[name]) {
+      var module = cache[name] = {exports: {}};
+      definitions[name](module, module.exports, require);
+    }
+    return cache[name].exports;
+  }
+  global.Animated = require('./Animated');
+}
+
+function bundle(modules) {
+  var nodeEnv = JSON.stringify(process.env.NODE_ENV || 'development');
+  var definitions = modules.map(name =>
+    JSON.stringify(name) + ': function(module, exports, require) {\n' +
+    compile(name).replace(/process\.env\.NODE_ENV/g, nodeEnv) +
+    '\n}'
+  );
+  return '(' + bundleRuntime + ')({\n' + definitions.join(',\n') + '\n}, ' +
+    'window.React, window);\n';
+}
+
+function build() {
+  [LIB, DIST].forEach(dir => {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir);
+    }
+  });
+  var modules = findModules('Animated');
+  modules.forEach(name => {
+    fs.writeFileSync(path.join(LIB, name + '.js'), compile(name));
+  });
+  fs.writeFileSync(path.join(DIST, 'animated.js'), bundle(modules));
+}
+
+build();
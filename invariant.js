@@ -0,0 +1,43 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule invariant
+ * @flow
+ */
+'use strict';
+
+// Written so that bundlers replacing process.env.NODE_ENV can drop the
+// messages from production builds altogether
+var AnimatedErrorMessages = process.env.NODE_ENV !== 'production' ?
+  require('./AnimatedErrorMessages') :
+  null;
+
+/**
+ * Throws when `condition` doesn't hold, to check the assumptions the code
+ * relies on, e.g. the arguments it was given:
+ *
+ *   invariant(at >= 0, 'TIMELINE_NEGATIVE_TIME', at);
+ *
+ * The error has the message of `code` from AnimatedErrorMessages, formatted
+ * with `args`. Production builds only have the code and the arguments.
+ */
+function invariant(condition: any, code: string, ...args: Array<any>): void {
+  if (condition) {
+    return;
+  }
+  var message = AnimatedErrorMessages ?
+    AnimatedErrorMessages.format(code, args) :
+    'Animated error ' + code + ' (' + args.map(String).join(', ') + '), ' +
+      'use a development build for the full message';
+  var error: any = new Error(message);
+  error.name = 'Invariant Violation';
+  error.code = code;
+  throw error;
+}
+
+module.exports = invariant;
@@ -0,0 +1,30 @@
+/**
+ * Copyright (c) 2015-present, Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule warning
+ * @flow
+ */
+'use strict';
+
+// Written so that bundlers replacing process.env.NODE_ENV can drop the
+// messages from production builds altogether
+var AnimatedErrorMessages = process.env.NODE_ENV !== 'production' ?
+  require('./AnimatedErrorMessages') :
+  null;
+
+/**
+ * Like invariant(), but only logs the message of `code` when `condition`
+ * doesn't hold, and only in development builds.
+ */
+function warning(condition: any, code: string, ...args: Array<any>): void {
+  if (!condition && AnimatedErrorMessages) {
+    console.warn(AnimatedErrorMessages.format(code, args));
+  }
+}
+
+module.exports = warning;